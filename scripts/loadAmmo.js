@@ -0,0 +1,18 @@
+// loadAmmo.js - Load the bundled Ammo.js build from disk in Node, for the headless runner and tests
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { evaluateAmmoFactory } from '../src/physics/ammoLoader.js';
+
+const AMMO_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public/lib');
+
+export async function loadAmmoFromDisk() {
+  const filename = path.join(AMMO_DIR, 'ammo.wasm.js');
+  const factory = evaluateAmmoFactory(readFileSync(filename, 'utf8'), {
+    require: createRequire(import.meta.url),
+    filename,
+    dirname: AMMO_DIR
+  });
+  return factory({ wasmBinary: readFileSync(path.join(AMMO_DIR, 'ammo.wasm.wasm')) });
+}
@@ -0,0 +1,188 @@
+// simulate.js - Headless Node.js runner for the cradle physics
+//
+// Usage: node scripts/simulate.js [--scene scene.json] [--seconds 5] [--sample-rate 60]
+//                                 [--impulse 0:-5,0,0] [--displace 0,1:30] [--ropes] [--anchors] [--telemetry]
+//                                 [--restore snapshot.json] [--snapshot-out snapshot.json]
+//                                 [--out trajectories.json] [--scene-out scene.json] [--verbose]
+//
+// --scene takes a versioned scene file (see docs/SCENE_FORMAT.md), or JSON with "scene" and "physics"
+// overrides for the config modules and optionally an explicit "description" ({ frames, balls, strings,
+// springs, floor }) instead of the computed layout. --scene-out saves the cradle as a scene file.
+// A "foucault" scene mode swings in a frame rotating with the Earth, see physics.earthRotation.
+// --displace 0,2:120,120.001 gives each ball its own angle, balls hanging from a displaced ball go with it.
+// --restore starts from a snapshot of the same cradle, --snapshot-out saves the final state.
+// --telemetry samples include each ball's distance from the ideal reference cradle (divergence), and
+// for chaotic pendulums how far each pendulum's angles have drifted from the first's (pendulumDivergence).
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { loadAmmoFromDisk } from './loadAmmo.js';
+import {
+  initSimulation,
+  advanceSimulation,
+  getSimulationFrame,
+  setInitialDisplacement,
+  snapshotWorld,
+  restoreWorld,
+  syncReferenceToWorld,
+  cleanupSimulation
+} from '../src/physics/simulation.js';
+import { applyImpulse } from '../src/physics/rigidBodies.js';
+import { getAnchorDiagnostics } from '../src/physics/softBodies.js';
+import { markEnergyBaseline } from '../src/physics/telemetry.js';
+import { BALL_TRANSFORM_STRIDE, ROPE_NODE_STRIDE } from '../src/physics/protocol.js';
+import { createCradleDescription } from '../src/layout.js';
+import { loadSceneFile, createSceneFile } from '../src/sceneFile.js';
+import { sceneConfig, physicsConfig, mergeConfig } from '../src/config/index.js';
+
+// Parse "ballIndex:x,y,z" into an impulse request
+function parseImpulse(value) {
+  const [ballIndex, vector] = value.split(':');
+  const [x = 0, y = 0, z = 0] = (vector || '').split(',').map(Number);
+  if (!Number.isInteger(Number(ballIndex)) || [x, y, z].some(Number.isNaN)) {
+    throw new Error(`Invalid impulse "${value}", expected ballIndex:x,y,z`);
+  }
+  return { ballIndex: Number(ballIndex), impulse: { x, y, z } };
+}
+
+// Parse "ballIndex,ballIndex:angleDeg" or "ballIndex,ballIndex:angleDeg,angleDeg" (one angle per
+// ball) into a displacement request
+function parseDisplacement(value) {
+  const [indices, angle] = value.split(':');
+  const balls = indices.split(',').map(Number);
+  const angles = angle === undefined ? [NaN] : angle.split(',').map(Number);
+  if (balls.some(index => !Number.isInteger(index)) || angles.some(Number.isNaN) ||
+      (angles.length > 1 && angles.length !== balls.length)) {
+    throw new Error(`Invalid displacement "${value}", expected ballIndex,ballIndex:angleDeg`);
+  }
+  return { balls, angleDeg: angles.length > 1 ? angles : angles[0] };
+}
+
+// Convert a frame into a JSON-friendly trajectory sample
+function toSample(time, frame, description, includeRopes) {
+  const sample = {
+    time,
+    balls: description.balls.map((ball, i) => {
+      const offset = i * BALL_TRANSFORM_STRIDE;
+      return {
+        name: ball.name,
+        position: Array.from(frame.balls.subarray(offset, offset + 3)),
+        quaternion: Array.from(frame.balls.subarray(offset + 3, offset + BALL_TRANSFORM_STRIDE))
+      };
+    })
+  };
+  
+  if (includeRopes) {
+    let offset = 0;
+    sample.ropes = frame.ropeNodeCounts.map(count => {
+      const nodes = Array.from(frame.ropes.subarray(offset, offset + count * ROPE_NODE_STRIDE));
+      offset += count * ROPE_NODE_STRIDE;
+      return nodes;
+    });
+  }
+  
+  return sample;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      scene: { type: 'string' },
+      seconds: { type: 'string', default: '5' },
+      'sample-rate': { type: 'string', default: '60' },
+      impulse: { type: 'string', multiple: true, default: [] },
+      displace: { type: 'string' },
+      restore: { type: 'string' },
+      'snapshot-out': { type: 'string' },
+      'scene-out': { type: 'string' },
+      ropes: { type: 'boolean', default: false },
+      anchors: { type: 'boolean', default: false },
+      telemetry: { type: 'boolean', default: false },
+      out: { type: 'string' },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+  
+  // The physics modules log generously for the browser console
+  if (!values.verbose) {
+    console.log = () => {};
+    console.debug = () => {};
+  }
+  
+  const sceneFile = values.scene ? JSON.parse(readFileSync(values.scene, 'utf8')) : {};
+  let description;
+  if (sceneFile.version !== undefined) {
+    description = loadSceneFile(sceneFile);
+  } else {
+    mergeConfig(sceneConfig, sceneFile.scene || {});
+    mergeConfig(physicsConfig, sceneFile.physics || {});
+    description = sceneFile.description || createCradleDescription(sceneConfig);
+  }
+  if (values['scene-out']) {
+    writeFileSync(values['scene-out'], JSON.stringify(createSceneFile(description), null, 2) + '\n');
+  }
+  
+  const seconds = Number(values.seconds);
+  const sampleInterval = 1 / Number(values['sample-rate']);
+  const impulses = values.impulse.map(parseImpulse);
+  const displacement = values.displace && parseDisplacement(values.displace);
+  
+  await initSimulation(await loadAmmoFromDisk(), description);
+  if (values.restore) {
+    restoreWorld(JSON.parse(readFileSync(values.restore, 'utf8')));
+  }
+  if (displacement && !setInitialDisplacement(displacement)) {
+    throw new Error(`Could not displace balls ${displacement.balls.join(', ')}`);
+  }
+  impulses.forEach(({ ballIndex, impulse }) => applyImpulse(ballIndex, impulse));
+  syncReferenceToWorld();
+  markEnergyBaseline();
+  
+  const samples = [];
+  const contacts = [];
+  const telemetry = [];
+  const numSamples = Math.round(seconds / sampleInterval);
+  for (let i = 0; i <= numSamples; i++) {
+    const time = i * sampleInterval;
+    if (i > 0) {
+      // Never drop steps offline, however long the sample interval
+      advanceSimulation(sampleInterval, Infinity);
+    }
+    
+    const frame = getSimulationFrame();
+    const sample = toSample(time, frame, description, values.ropes);
+    if (values.anchors) {
+      sample.anchors = getAnchorDiagnostics();
+    }
+    samples.push(sample);
+    frame.contacts
+      .filter(contact => contact.type !== 'persist')
+      .forEach(contact => contacts.push({ time, ...contact }));
+    telemetry.push(...frame.telemetry);
+  }
+  
+  if (values['snapshot-out']) {
+    writeFileSync(values['snapshot-out'], JSON.stringify(snapshotWorld()));
+  }
+  cleanupSimulation();
+  
+  const output = JSON.stringify({
+    timeStep: physicsConfig.timeStep,
+    seconds,
+    sampleInterval,
+    description,
+    samples,
+    contacts,
+    ...(values.telemetry && { telemetry })
+  });
+  
+  if (values.out) {
+    writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+}
+
+main().catch(error => {
+  console.error("Simulation failed:", error);
+  process.exit(1);
+});
@@ -1,3 +1,17 @@
 export { sceneConfig } from './scene.js';
 export { physicsConfig } from './physics.js';
-export { visualConfig } from './visual.js'; 
\ No newline at end of file
+export { visualConfig } from './visual.js';
+export { ballMaterialPresets, applyBallMaterialPreset } from './materials.js';
+
+// Deep-merge plain values into a config object in place, keeping its nested object identities
+export function mergeConfig(target, values) {
+  Object.entries(values).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object') {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
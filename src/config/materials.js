@@ -0,0 +1,40 @@
+// Ball material presets: how a material looks and how it behaves in the physics world
+import { physicsConfig } from './physics.js';
+import { visualConfig } from './visual.js';
+
+// Densities are in kg per cubic scene unit, the real figure in g/cm³
+export const ballMaterialPresets = {
+  steel: {
+    label: 'Steel',
+    visual: { color: 0xB0B6BC, metalness: 0.9, roughness: 0.2, transparent: false, opacity: 1.0 },
+    physics: { restitution: 0.95, friction: 0.1, density: 7.85 }
+  },
+  glass: {
+    label: 'Glass',
+    visual: { color: 0xD6F1FF, metalness: 0.0, roughness: 0.05, transparent: true, opacity: 0.5 },
+    physics: { restitution: 0.9, friction: 0.2, density: 2.5 }
+  },
+  rubber: {
+    label: 'Rubber',
+    visual: { color: 0x37474F, metalness: 0.0, roughness: 0.9, transparent: false, opacity: 1.0 },
+    physics: { restitution: 0.6, friction: 0.9, density: 1.1 }
+  },
+  wood: {
+    label: 'Wood',
+    visual: { color: 0xA1703F, metalness: 0.0, roughness: 0.7, transparent: false, opacity: 1.0 },
+    physics: { restitution: 0.5, friction: 0.5, density: 0.6 }
+  }
+};
+
+// Make a preset the shared ball material, ball masses then follow from its density
+export function applyBallMaterialPreset(name) {
+  const preset = ballMaterialPresets[name];
+  if (!preset) {
+    console.error("Unknown ball material preset:", name);
+    return false;
+  }
+  
+  Object.assign(visualConfig.ballMaterial, preset.visual);
+  Object.assign(physicsConfig.ball, preset.physics);
+  return true;
+}
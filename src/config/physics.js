@@ -8,6 +8,7 @@ export const physicsConfig = {
   // Ball settings
   ball: {
     mass: 2,
+    density: null, // When set (kg per cubic unit), each ball's mass is its volume times this instead
     restitution: 0.95,
     friction: 0.1,
     linearDamping: 0.1,
@@ -24,28 +25,60 @@ export const physicsConfig = {
   
   // String settings
   string: {
+    type: 'softBody', // 'softBody' ropes, or rigid 'chain' / 'hinge', soft bodies fall back to 'chain' if unsupported
     segments: 8,
     mass: 0.01,
     radius: 0.03,
     restitution: 0.1,
     friction: 0.9,
-    damping: 0.9
+    damping: 0.9,
+    solverIterations: 50 // Constraint solver iterations in chain mode
   },
   
   // Soft body settings (if supported)
   softBody: {
-    enabled: true,
     segmentsPerString: 14,
     mass: 0.07,
     damping: 0.08,
+    drag: 0.1,
     lift: 0.1,
     pressure: 50,
     volumeConservation: 20,
     dynamicFriction: 0.2,
     poseMatching: 0.2,
+    linearStiffness: 1.0,
+    angularStiffness: 1.0,
     contactHardness: 1.0,
     kineticHardness: 0.8,
     softHardness: 1.0,
-    maxVolume: 1.0
+    maxVolume: 1.0,
+    // The ball outweighs the rope by orders of magnitude, many position iterations keep the
+    // rope from stretching under it
+    positionIterations: 40,
+    velocityIterations: 10
+  },
+  
+  // Energy and momentum telemetry
+  telemetry: {
+    enabled: true,
+    driftThreshold: 0.05, // Relative change in total energy that is flagged as drift
+    historyLength: 1200   // Samples kept in the main-thread time series
+  },
+  
+  // Rotation of the Earth felt by the Foucault pendulum
+  earthRotation: {
+    latitude: 48.85,   // Degrees north, the Panthéon in Paris
+    rate: 7.2921e-5,   // Sidereal rotation rate in rad/s
+    scale: 3000        // Speed-up so the swing plane turns within a minute rather than a day
+  },
+  
+  // Ideal cradle model the simulation is compared against
+  reference: {
+    restitution: 1.0 // Coefficient of restitution of the ideal collisions
+  },
+  
+  // Run recording for replay
+  recording: {
+    maxSteps: 7200 // Steps kept by the main-thread recording, older steps are dropped
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,187 @@
+// Settings presets: the scene, physics and visual settings as one plain object, saved by name in
+// localStorage, exported and imported as JSON files, and a few built-in ones
+import { sceneConfig } from './scene.js';
+import { physicsConfig } from './physics.js';
+import { visualConfig } from './visual.js';
+import { ballMaterialPresets } from './materials.js';
+import { mergeConfig } from './index.js';
+
+// Version of the settings format, bumped when settings are renamed or restructured
+export const SETTINGS_VERSION = 1;
+
+const STORAGE_KEY = 'newton-pendulum.presets';
+
+const configs = { scene: sceneConfig, physics: physicsConfig, visual: visualConfig };
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// Every setting as a plain object that can be stored and applied later
+export function getSettings() {
+  return clone({ version: SETTINGS_VERSION, ...configs });
+}
+
+// The settings as the app starts, before anything changes them
+const defaults = getSettings();
+
+// Built-in presets, each applied on top of the defaults
+export const builtInPresets = {
+  classic: {
+    label: 'Classic 5-ball',
+    settings: {
+      scene: { numBalls: 5, ballSpacing: 0.02, suspension: { type: 'bifilar' } },
+      physics: { ball: { ...ballMaterialPresets.steel.physics } },
+      visual: { ballMaterial: { ...ballMaterialPresets.steel.visual } }
+    }
+  },
+  heavyVsLight: {
+    label: 'Heavy vs light',
+    settings: {
+      scene: { numBalls: 5, ballSpacing: 0.02, balls: [{ mass: 8, radius: 0.7, color: 0xE53935 }] }
+    }
+  },
+  lowGravity: {
+    label: 'Low gravity (Moon)',
+    settings: {
+      scene: { numBalls: 5, ballSpacing: 0.02 },
+      physics: { gravityConstant: -1.62 }
+    }
+  }
+};
+
+// Every problem with a settings object as a readable "path: problem" message, none if it can be applied.
+// Only settings the app knows are allowed, with the type of their default.
+export function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`settings: expected a JSON object, got ${JSON.stringify(settings)}`];
+  }
+  
+  const errors = [];
+  if (settings.version !== undefined && settings.version !== SETTINGS_VERSION) {
+    errors.push(`version: ${JSON.stringify(settings.version)} is not supported, this app reads version ${SETTINGS_VERSION}`);
+  }
+  Object.keys(settings).forEach(key => {
+    if (key !== 'version' && !configs[key]) {
+      errors.push(`${key}: unknown settings, expected scene, physics or visual`);
+    }
+  });
+  Object.keys(configs).forEach(key => {
+    if (settings[key] !== undefined) {
+      checkAgainstDefaults(errors, settings[key], defaults[key], key);
+    }
+  });
+  return errors;
+}
+
+function checkAgainstDefaults(errors, values, defaultValues, path) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push(`${path}: expected an object, got ${JSON.stringify(values)}`);
+    return;
+  }
+  
+  Object.entries(values).forEach(([key, value]) => {
+    const settingPath = `${path}.${key}`;
+    if (!(key in defaultValues)) {
+      errors.push(`${settingPath}: unknown setting`);
+      return;
+    }
+    
+    const defaultValue = defaultValues[key];
+    if (value === null || defaultValue === null) return;
+    if (Array.isArray(defaultValue)) {
+      if (!Array.isArray(value)) {
+        errors.push(`${settingPath}: expected a list, got ${JSON.stringify(value)}`);
+      }
+    } else if (typeof defaultValue === 'object') {
+      checkAgainstDefaults(errors, value, defaultValue, settingPath);
+    } else if (typeof value !== typeof defaultValue) {
+      errors.push(`${settingPath}: expected a ${typeof defaultValue}, got ${JSON.stringify(value)}`);
+    }
+  });
+}
+
+// Go back to the defaults, then take over the given settings. Throws an error listing every problem
+// if they can't be applied, leaving the current settings as they are.
+export function applySettings(settings) {
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings:\n  ${errors.join('\n  ')}`);
+  }
+  
+  Object.entries(configs).forEach(([key, config]) => {
+    mergeConfig(config, clone(defaults[key]));
+    mergeConfig(config, clone(settings[key] || {}));
+  });
+}
+
+export function resetSettings() {
+  applySettings(defaults);
+}
+
+export function applyBuiltInPreset(name) {
+  const preset = builtInPresets[name];
+  if (!preset) {
+    console.error("Unknown settings preset:", name);
+    return false;
+  }
+  
+  applySettings(preset.settings);
+  return true;
+}
+
+// Presets the user saved, by name
+export function getSavedPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error("Error reading saved presets:", error);
+    return {};
+  }
+}
+
+function storePresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.error("Error saving presets:", error);
+    return false;
+  }
+}
+
+// Save the current settings under a name, replacing any preset of that name
+export function savePreset(name) {
+  return storePresets({ ...getSavedPresets(), [name]: getSettings() });
+}
+
+export function deletePreset(name) {
+  const presets = getSavedPresets();
+  delete presets[name];
+  return storePresets(presets);
+}
+
+export function applySavedPreset(name) {
+  const settings = getSavedPresets()[name];
+  if (!settings) {
+    console.error("Unknown saved preset:", name);
+    return false;
+  }
+  
+  applySettings(settings);
+  return true;
+}
+
+// The current settings as the text of a JSON file
+export function exportSettings() {
+  return JSON.stringify(getSettings(), null, 2);
+}
+
+// Apply the settings in the text of a JSON file, throws if it isn't JSON or the settings are invalid
+export function importSettings(text) {
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  applySettings(settings);
+}
@@ -1,10 +1,56 @@
 // Scene configuration settings
 export const sceneConfig = {
+  // 'cradle', 'wave' for a pendulum wave of uncoupled pendulums, 'chaos' for multi-link pendulums,
+  // 'foucault' for a long pendulum on the rotating Earth (see physicsConfig.earthRotation), or
+  // 'coupled' for pendulums joined by springs
+  mode: 'cradle',
+  
   // Cradle settings
   numBalls: 1,
   ballSpacing: 1.2,
-  ropeLength: 2.0,
+  ropeLength: 2.0, // Drop from the top rail to the top of the largest ball, sets the frame height
   ballRadius: 0.5,
+  ballShape: 'sphere', // Bob shape: 'sphere', 'cylinder', 'cube' or 'capsule', sized by ballRadius
+  
+  // Per-ball overrides by index, e.g. [{ mass: 6, radius: 0.7, color: 0xe53935 }]. Any of shape,
+  // material (a preset name), mass, radius, restitution, friction and color, explicit values win
+  // over the material's, the rest come from the shared ball settings
+  balls: [],
+  
+  // Pendulum wave settings, ball i swings oscillations + i times per cycle
+  wave: {
+    cyclePeriod: 60,  // Seconds until the pendulums line up again
+    oscillations: 20, // Full swings of the first (longest) pendulum per cycle
+    releaseAngle: 10, // Degrees all pendulums are released from, the row is spaced for it
+    damping: 0,       // Air damping of the bobs, they have to keep swinging until the row lines up
+    margin: 0.1       // Extra gap between neighbouring balls at their closest
+  },
+  
+  // Chaotic pendulum settings, each of the numBalls pendulums is a chain of balls on ropes
+  chaos: {
+    links: 2,            // Balls per pendulum, every further one hangs from the bottom of the one above
+    linkLength: 1.0,     // Rope length between linked balls, the first hangs on ropeLength
+    releaseAngle: 120,   // Degrees the pendulums are released from, held straight
+    angleOffset: 0.001,  // Degrees each pendulum starts further out than the one before it
+    margin: 0.2          // Extra gap between neighbouring pendulums swung towards each other
+  },
+  
+  // Foucault pendulum settings
+  foucault: {
+    ropeLength: 5.0,   // Long rope so the pendulum swings slowly compared with the Earth's turn
+    releaseAngle: 10,  // Degrees the pendulum is released from, swinging east-west at first
+    damping: 0,        // Air damping of the bob, real ones swing for hours
+    margin: 0.5,       // Extra gap between neighbouring pendulums at their closest
+    traceLength: 4000  // Bob positions kept in the trace drawn on the floor
+  },
+  
+  // Coupled pendulum settings, a spring joins every pair of neighbouring bobs
+  coupled: {
+    stiffness: 1.0,    // Spring constant in N/m, stiffer springs pass the swing on faster
+    damping: 0,        // Air damping of the bobs, without it the swing passes back and forth for good
+    springLength: 1.5, // Rest length of each spring, the gap between the bobs it joins
+    releaseAngle: 10   // Degrees the first pendulum is released from while the others hang still
+  },
   
   // Frame settings
   frame: {
@@ -12,10 +58,15 @@ export const sceneConfig = {
     height: 0.1,
     depth: 0.1,
     topBarLength: 6.0,
-    sideBarLength: 3.0,
     bottomBarLength: 6.0
   },
   
+  // Suspension settings
+  suspension: {
+    type: 'single',      // 'single' string per ball, or 'bifilar' V-shaped pair from front and back rails
+    railSeparation: 1.0  // Distance between the front and back top rails in bifilar mode
+  },
+  
   // Camera settings
   camera: {
     position: { x: 0, y: 2, z: 5 },
@@ -5,7 +5,9 @@ export const visualConfig = {
     color: 0x2196F3,
     metalness: 0.8,
     roughness: 0.2,
-    reflectivity: 0.5
+    reflectivity: 0.5,
+    transparent: false,
+    opacity: 1.0
   },
   
   // Frame materials
@@ -23,6 +25,26 @@ export const visualConfig = {
     transparent: true
   },
   
+  // Translucent balls showing the ideal reference cradle
+  referenceGhosts: {
+    enabled: true,
+    color: 0xFF9800,
+    opacity: 0.3
+  },
+  
+  // Springs between coupled pendulums
+  spring: {
+    color: 0x607D8B,
+    coils: 12,   // Turns along a spring
+    radius: 0.08 // Radius of the coil
+  },
+  
+  // Floor trace of the Foucault pendulum's bob
+  swingTrace: {
+    color: 0xE91E63,
+    opacity: 0.8
+  },
+  
   // Background settings
   background: {
     color: 0xF5F5F5,
@@ -1,423 +1,151 @@
-// Updated controls.js with enhanced mobile touch support
+// controls.js - Pull-back-and-release interaction for the cradle balls (mouse and touch)
 import * as THREE from 'three';
-import { applyImpulse, getBallBodies } from './physics.js';
+import { grabBall, dragBall, releaseBall } from './physics/index.js';
+import { isReplaying } from './replay.js';
 
-// Controls variables
-let camera, renderer, scene;
-let isDragging = false;
-let selectedBall = null;
-let selectedBallIndex = -1;
-let raycaster = new THREE.Raycaster();
-let mouse = new THREE.Vector2();
-let dragPlane = new THREE.Plane();
-let dragPoint = new THREE.Vector3();
-let physicsWorld = null;
-let physics = null;
-let startAnimationCallback = null;
-let lastDragPosition = null;
+// Balls can't be pulled past this angle from the vertical
+const MAX_PULL_ANGLE = THREE.MathUtils.degToRad(80);
 
-// Track for velocity calculation
-let lastDragTime = 0;
-let lastDragPositions = [];
+let camera, renderer, orbitControls;
+let getCradle = null;
 
-// Setup controls for the scene
-export function setupControls(sceneCamera, sceneRenderer, sceneObj, physicsObj, ammoObj, startAnimationCb) {
-  camera = sceneCamera;
-  renderer = sceneRenderer;
-  scene = sceneObj;
-  physicsWorld = physicsObj;
-  physics = ammoObj;
-  startAnimationCallback = startAnimationCb;
-
-  // Initialize raycaster and vectors
-  raycaster = new THREE.Raycaster();
-  mouse = new THREE.Vector2();
-  dragPlane = new THREE.Plane();
-  dragPoint = new THREE.Vector3();
-
-  if (renderer && renderer.domElement) {
-    const element = renderer.domElement;
-    
-    // Remove previous event listeners if they exist
-    element.removeEventListener('mousedown', onMouseDown);
-    element.removeEventListener('touchstart', onTouchStart);
-    window.removeEventListener('mousemove', onMouseMove);
-    window.removeEventListener('touchmove', onTouchMove);
-    window.removeEventListener('mouseup', onMouseUp);
-    window.removeEventListener('touchend', onTouchEnd);
-    
-    // Add mouse event listeners
-    element.addEventListener('mousedown', onMouseDown, { passive: false });
-    window.addEventListener('mousemove', onMouseMove, { passive: false });
-    window.addEventListener('mouseup', onMouseUp, { passive: false });
-    
-    // Add touch event listeners for mobile with passive: false to allow preventDefault
-    element.addEventListener('touchstart', onTouchStart, { passive: false });
-    window.addEventListener('touchmove', onTouchMove, { passive: false });
-    window.addEventListener('touchend', onTouchEnd, { passive: false });
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+// Balls swing in a plane of constant z, set from the held ball's pivot
+const swingPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+const planePoint = new THREE.Vector3();
 
-    // Add key events for animation
-    window.addEventListener('keydown', (event) => {
-      if (event.code === 'Space' && startAnimationCallback) {
-        event.preventDefault();
-        startAnimationCallback();
-      }
-    });
+// Active pointer id -> { balls: [{ index, pivot, length }], anchor }
+const drags = new Map();
 
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      if (camera && renderer) {
-        camera.aspect = window.innerWidth / window.innerHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(window.innerWidth, window.innerHeight);
-      }
-    });
-
-    // Add a double-tap handler for mobile to trigger animation
-    let lastTap = 0;
-    element.addEventListener('touchend', (event) => {
-      const currentTime = new Date().getTime();
-      const tapLength = currentTime - lastTap;
-      
-      if (tapLength < 300 && tapLength > 0 && !isDragging && startAnimationCallback) {
-        event.preventDefault();
-        startAnimationCallback();
-      }
-      
-      lastTap = currentTime;
-    }, { passive: false });
-
-    console.log('Ball interaction controls setup complete with enhanced mobile support');
-  } else {
-    console.error('Renderer or domElement not available for event listeners');
-  }
-}
-
-// Mouse down event handler
-function onMouseDown(event) {
-  // Prevent default behavior
-  event.preventDefault();
+// Setup controls for the scene, getCradleFn returns the current cradle group
+export function setupControls(sceneCamera, sceneRenderer, sceneOrbitControls, getCradleFn) {
+  camera = sceneCamera;
+  renderer = sceneRenderer;
+  orbitControls = sceneOrbitControls;
+  getCradle = getCradleFn;
   
-  // Check if we have the necessary components
-  if (!camera || !renderer || !scene || !physicsWorld || !physics) {
-    console.error('Required components not initialized for ball dragging');
+  if (!renderer || !renderer.domElement) {
+    console.error('Renderer or domElement not available for event listeners');
     return;
   }
   
-  // Calculate mouse position in normalized device coordinates (-1 to +1)
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  const element = renderer.domElement;
+  // Capture so a grab can disable OrbitControls before it sees the same pointerdown
+  element.addEventListener('pointerdown', onPointerDown, { capture: true });
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerUp);
   
-  selectBall();
+  console.log('Ball interaction controls setup complete');
 }
 
-// Touch start event handler
-function onTouchStart(event) {
-  // Prevent default behavior to avoid scrolling/zooming
-  event.preventDefault();
-  
-  if (event.touches.length === 1) {
-    // Get the first touch
-    const touch = event.touches[0];
-    
-    // Calculate touch position in normalized device coordinates (-1 to +1)
-    mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-    
-    selectBall();
-  }
+// Release every held ball, e.g. before the cradle is rebuilt
+export function releaseAllDrags() {
+  drags.forEach(drag => drag.balls.forEach(ball => releaseBall(ball.index)));
+  drags.clear();
+  if (orbitControls) orbitControls.enabled = true;
 }
 
-// Common function to select a ball based on current mouse/touch position
-function selectBall() {
-  // Get balls from the scene
-  const balls = scene.children.filter(obj => obj.geometry && obj.geometry.type === 'SphereGeometry');
-  console.log('Found balls:', balls.length);
-  
-  // Update the picking ray with the camera and mouse position
-  raycaster.setFromCamera(mouse, camera);
-  
-  // Calculate objects intersecting the picking ray
-  const intersects = raycaster.intersectObjects(balls);
-  console.log('Intersections:', intersects.length);
-  
-  if (intersects.length > 0) {
-    // Set selected ball
-    selectedBall = intersects[0].object;
-    console.log('Ball selected!');
-    
-    // Find ball index
-    selectedBallIndex = balls.findIndex(ball => ball.uuid === selectedBall.uuid);
-    
-    isDragging = true;
-    
-    // Set up drag plane aligned with the camera view
-    // // Use a vertical plane perpendicular to camera view for better dragging
-    const cameraDirection = camera.getWorldDirection(new THREE.Vector3());
-    // Create a plane that's aligned with the viewing direction but allows vertical movement
-    dragPlane.setFromNormalAndCoplanarPoint(
-    new THREE.Vector3(cameraDirection.z, 0, -cameraDirection.x).normalize(),
-    selectedBall.position
-  );
-
-    // Set up drag plane aligned with the XY plane (constraining to sideways movement)
-    dragPlane.set(new THREE.Vector3(0, 0, 1), 0); // Normal is z-axis, offset is 0
-    
-    // Calculate drag point (intersection of ray with drag plane)
-    raycaster.ray.intersectPlane(dragPlane, dragPoint);
-    
-    // Reset drag tracking
-    lastDragPosition = dragPoint.clone();
-    lastDragTime = performance.now();
-    lastDragPositions = [];
-    
-    // Create physics constraint for dragging
-    createMouseConstraint(selectedBallIndex, dragPoint);
-    
-    console.log('Ball selected:', {
-      ballIndex: selectedBallIndex,
-      ballPosition: selectedBall.position.toArray(),
-      dragPoint: dragPoint.toArray()
-    });
-  }
+function setPointer(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
 }
 
-// Mouse move event handler
-function onMouseMove(event) {
-  if (isDragging && selectedBall) {
-    event.preventDefault();
-    
-    // Calculate mouse position in normalized device coordinates (-1 to +1)
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-    
-    updateDragPosition();
-  }
+// Swing pivot and rope length of a ball, taken from the cradle layout
+function getSwingGeometry(description, index) {
+  const ball = description.balls[index];
+  const pivot = new THREE.Vector3(ball.pivot.x, ball.pivot.y, ball.pivot.z);
+  return { index, pivot, length: pivot.y - ball.position.y };
 }
 
-// Touch move event handler
-function onTouchMove(event) {
-  if (isDragging && selectedBall && event.touches.length === 1) {
-    event.preventDefault();
-    
-    // Get the first touch
-    const touch = event.touches[0];
-    
-    // Calculate touch position in normalized device coordinates (-1 to +1)
-    mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-    
-    updateDragPosition();
-  }
+// Shift grabs the picked ball together with every ball between it and the nearest end of its row.
+// The row is the balls hanging from the frame in the same swing plane, in order along x, ball
+// indices don't follow it once balls are linked. A linked ball is grabbed on its own.
+function getGrabbedIndices(description, index, grabGroup) {
+  const picked = description.balls[index];
+  if (!grabGroup || picked.parent !== undefined) return [index];
+  
+  const row = description.balls
+    .map((ball, i) => ({ ball, index: i }))
+    .filter(({ ball }) => ball.parent === undefined && ball.pivot.z === picked.pivot.z)
+    .sort((a, b) => a.ball.pivot.x - b.ball.pivot.x)
+    .map(entry => entry.index);
+  const position = row.indexOf(index);
+  return position < row.length / 2 ? row.slice(0, position + 1) : row.slice(position);
 }
 
-// Common function to update drag position based on current mouse/touch position
-function updateDragPosition() {
-  // Update the picking ray with the camera and mouse position
-  raycaster.setFromCamera(mouse, camera);
-  
-  // Calculate new drag point (intersection of ray with drag plane)
-  raycaster.ray.intersectPlane(dragPlane, dragPoint);
+// Swing angle of the pointer around the picked ball's pivot, in the plane it swings in
+function getPullAngle(anchor) {
+  swingPlane.constant = -anchor.pivot.z;
+  if (!raycaster.ray.intersectPlane(swingPlane, planePoint)) return null;
   
-  // Store position and time for velocity calculation
-  const now = performance.now();
-  lastDragPositions.push({
-    position: dragPoint.clone(),
-    time: now
-  });
-  
-  // Keep only the last 5 positions for smoothing
-  if (lastDragPositions.length > 5) {
-    lastDragPositions.shift();
-  }
-  
-  // Update the mouse constraint target position
-  updateMouseConstraint(dragPoint);
-  
-  // Directly update the visual position of the ball for immediate feedback
-  if (selectedBall) {
-    // Update the visual position of the ball
-    //selectedBall.position.copy(dragPoint);
-    selectedBall.position.x = dragPoint.x;
-    
-    // No need to update the string here - the existing code in scene.js 
-    // handles string updates in the animation loop via updateStrings()
-  }
+  const angle = Math.atan2(planePoint.x - anchor.pivot.x, anchor.pivot.y - planePoint.y);
+  return THREE.MathUtils.clamp(angle, -MAX_PULL_ANGLE, MAX_PULL_ANGLE);
 }
 
-
-// Mouse up event handler
-function onMouseUp(event) {
-  if (isDragging) {
-    event.preventDefault();
-    releaseConstraint();
-  }
-}
-
-// Touch end event handler
-function onTouchEnd(event) {
-  if (isDragging) {
-    event.preventDefault();
-    releaseConstraint();
-  }
+// Point on a ball's arc at the given swing angle, keeps the rope at full length
+function getArcTarget(ball, angle) {
+  return new THREE.Vector3(
+    ball.pivot.x + Math.sin(angle) * ball.length,
+    ball.pivot.y - Math.cos(angle) * ball.length,
+    ball.pivot.z
+  );
 }
 
-// Common function to handle constraint release
-function releaseConstraint() {
-  console.log('Ball released:', {
-    ballIndex: selectedBallIndex,
-    finalPosition: selectedBall ? selectedBall.position.toArray() : null
-  });
+function onPointerDown(event) {
+  const cradle = getCradle && getCradle();
+  const description = cradle && cradle.userData.description;
+  // Recorded runs can't be changed
+  if (!description || isReplaying()) return;
   
-  // Apply velocity impulse when releasing the ball
-  if (selectedBallIndex >= 0 && lastDragPositions.length >= 2) {
-    // Calculate velocity from the last few positions
-    const first = lastDragPositions[0];
-    const last = lastDragPositions[lastDragPositions.length - 1];
-    
-    if (last.time - first.time > 0) {
-      const velocity = new THREE.Vector3();
-      velocity.subVectors(last.position, first.position);
-      
-      // Scale velocity based on time elapsed (convert to per-second)
-      const timeScale = 1000 / (last.time - first.time);
-      velocity.multiplyScalar(timeScale * 2); // Multiply by 2 for more responsive feel
-      
-      // Apply impulse based on calculated velocity
-      applyImpulse(selectedBallIndex, { 
-        x: velocity.x, 
-        y: velocity.y, 
-        z: velocity.z 
-      });
-      
-      console.log('Applied release velocity:', {
-        velocity: velocity.toArray(),
-        timeElapsed: last.time - first.time
-      });
-    }
-  }
+  setPointer(event);
+  const meshes = cradle.children.filter(child => child.name.startsWith('ball_'));
+  const hit = raycaster.intersectObjects(meshes, false)[0];
+  if (!hit) return;
   
-  // Release the constraint
-  releaseMouseConstraint();
+  const index = parseInt(hit.object.name.split('_')[1]);
+  const heldIndices = new Set();
+  drags.forEach(drag => drag.balls.forEach(ball => heldIndices.add(ball.index)));
   
-  // Reset drag state
-  isDragging = false;
-  selectedBall = null;
-  selectedBallIndex = -1;
-  lastDragPositions = [];
-}
-
-// Physics constraint variables
-let mouseBody = null;
-let mouseConstraint = null;
-
-// Create mouse constraint for dragging
-function createMouseConstraint(ballIndex, position) {
-  if (!physics || !physicsWorld) {
-    console.error('Physics not initialized for mouse constraint');
-    return;
-  }
+  const balls = getGrabbedIndices(description, index, event.shiftKey)
+    .filter(i => !heldIndices.has(i))
+    .map(i => getSwingGeometry(description, i));
+  if (balls.length === 0) return;
   
-  try {
-    // Get ball body from physics
-    const ballBodies = getBallBodies();
-    if (ballIndex < 0 || ballIndex >= ballBodies.length) {
-      console.error('Invalid ball index:', ballIndex);
-      return;
-    }
-    
-    const ballBody = ballBodies[ballIndex];
-    
-    // Create a body for the mouse point
-    const shape = new physics.btSphereShape(0.1);
-    const transform = new physics.btTransform();
-    transform.setIdentity();
-    transform.setOrigin(new physics.btVector3(position.x, position.y, position.z));
-    
-    // Create motion state
-    const motionState = new physics.btDefaultMotionState(transform);
-    
-    // Create rigid body (static - mass = 0)
-    const rbInfo = new physics.btRigidBodyConstructionInfo(
-      0, // Mass of 0 makes it static
-      motionState,
-      shape,
-      new physics.btVector3(0, 0, 0) // No inertia for static objects
-    );
-    mouseBody = new physics.btRigidBody(rbInfo);
-    
-    // Make it kinematic
-    mouseBody.setCollisionFlags(mouseBody.getCollisionFlags() | 2); // CF_KINEMATIC_OBJECT
-    mouseBody.setActivationState(4); // DISABLE_DEACTIVATION
-    
-    // Add to physics world
-    physicsWorld.addRigidBody(mouseBody);
-    
-    // Create the constraint between ball and mouse position
-    const pivotInBall = new physics.btVector3(0, 0, 0);
-    const pivotInMouse = new physics.btVector3(0, 0, 0);
-    
-    mouseConstraint = new physics.btPoint2PointConstraint(
-      ballBody,
-      mouseBody,
-      pivotInBall,
-      pivotInMouse
-    );
-    
-    // Set constraint parameters - increase the threshold to allow more movement
-    mouseConstraint.setBreakingImpulseThreshold(10000); // Much higher to allow more freedom
-    
-    // Modify constraint settings if available in your Ammo.js version
-    if (mouseConstraint.setting && typeof mouseConstraint.setting.set_m_tau === 'function') {
-      mouseConstraint.setting.set_m_tau(0.3); // Lower for more responsive movement
-    }
-    
-    // Add constraint to physics world
-    physicsWorld.addConstraint(mouseConstraint, true);
-    
-    console.log('Mouse constraint created for ball', ballIndex);
-  } catch (error) {
-    console.error('Error creating mouse constraint:', error);
-  }
+  // Keep the camera still while a ball is held
+  event.preventDefault();
+  event.stopPropagation();
+  if (orbitControls) orbitControls.enabled = false;
+  renderer.domElement.setPointerCapture(event.pointerId);
+  
+  const anchor = balls.find(ball => ball.index === index);
+  const angle = getPullAngle(anchor) ?? 0;
+  balls.forEach(ball => grabBall(ball.index, getArcTarget(ball, angle)));
+  drags.set(event.pointerId, { balls, anchor });
 }
 
-// Update mouse constraint position
-function updateMouseConstraint(position) {
-  if (mouseBody && physics) {
-    try {
-      // Create transform for new position
-      const transform = new physics.btTransform();
-      transform.setIdentity();
-      transform.setOrigin(new physics.btVector3(position.x, position.y, position.z));
-      
-      // Apply transform to mouse body
-      mouseBody.setWorldTransform(transform);
-      mouseBody.activate();
-    } catch (error) {
-      console.error('Error updating mouse constraint:', error);
-    }
-  }
+function onPointerMove(event) {
+  const drag = drags.get(event.pointerId);
+  if (!drag) return;
+  
+  setPointer(event);
+  const angle = getPullAngle(drag.anchor);
+  if (angle === null) return;
+  
+  drag.balls.forEach(ball => dragBall(ball.index, getArcTarget(ball, angle)));
 }
 
-// Release mouse constraint
-function releaseMouseConstraint() {
-  if (mouseConstraint && physicsWorld) {
-    try {
-      // Remove constraint from physics world
-      physicsWorld.removeConstraint(mouseConstraint);
-      mouseConstraint = null;
-    } catch (error) {
-      console.error('Error removing constraint:', error);
-    }
-  }
+function onPointerUp(event) {
+  const drag = drags.get(event.pointerId);
+  if (!drag) return;
+  
+  drag.balls.forEach(ball => releaseBall(ball.index));
+  drags.delete(event.pointerId);
   
-  if (mouseBody && physicsWorld) {
-    try {
-      // Remove mouse body from physics world
-      physicsWorld.removeRigidBody(mouseBody);
-      mouseBody = null;
-    } catch (error) {
-      console.error('Error removing mouse body:', error);
-    }
+  if (drags.size === 0 && orbitControls) {
+    orbitControls.enabled = true;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,281 @@
+// layout.js - Cradle geometry as plain data, shared by the Three.js scene and the physics world
+import { sceneConfig } from './config/scene.js';
+import { ballMaterialPresets } from './config/materials.js';
+import { getPendulumWaveRopeLengths, getPendulumWaveGaps } from './pendulumWave.js';
+
+// Height of the frame base and floor
+const BASE_HEIGHT = -2;
+
+// Size of the floor plane
+const FLOOR_SIZE = 30;
+
+// Gap between the bottom of a hanging ball and the base
+const BALL_CLEARANCE = 0.5;
+
+// Per-ball values config.balls can set directly, they win over the ball's material preset
+const BALL_OVERRIDE_KEYS = ['mass', 'restitution', 'friction', 'color'];
+
+// Describe the frame parts, balls, strings, springs and floor of the cradle for the given scene settings.
+// The frame is sized around the pendulums: the rails sit the longest pendulum above the base and
+// the legs stand clear of the end pendulums swung out to the horizontal.
+export function createCradleDescription(config = sceneConfig) {
+  const { numBalls, frame } = config;
+  
+  // Every pendulum is a column of balls, each below the first hanging from the one above it
+  const links = getLinksPerPendulum(config);
+  const linkLength = links > 1 ? config.chaos.linkLength : 0;
+  const columns = Array.from({ length: numBalls }, (_, p) =>
+    Array.from({ length: links }, (_, j) => resolveBallSettings(config, p * links + j)));
+  const topBalls = columns.map(column => column[0]);
+  const maxRadius = Math.max(...topBalls.map(ball => ball.radius));
+  
+  // A cradle hangs its ball centres at one height so they collide head on, with ropeLength to the
+  // largest ball. A pendulum wave gives every ball its own rope and spaces them so they never touch,
+  // as are chaotic pendulums swinging right over. Coupled pendulums hang like a cradle, a spring
+  // length apart.
+  let ropeLengths, gaps;
+  if (config.mode === 'wave') {
+    ropeLengths = getPendulumWaveRopeLengths(config.wave, topBalls);
+    gaps = getPendulumWaveGaps(config.wave, topBalls, ropeLengths);
+  } else if (config.mode === 'foucault') {
+    ropeLengths = topBalls.map(() => config.foucault.ropeLength);
+    gaps = getPendulumWaveGaps(config.foucault, topBalls, ropeLengths);
+  } else if (config.mode === 'coupled') {
+    ropeLengths = topBalls.map(ball => config.ropeLength + maxRadius - ball.radius);
+    gaps = columns.slice(1).map(() => config.coupled.springLength);
+  } else if (config.mode === 'chaos') {
+    ropeLengths = topBalls.map(() => config.ropeLength);
+    const reach = p => getColumnDrop(columns[p], ropeLengths[p], linkLength);
+    gaps = columns.slice(1).map((_, p) => reach(p) + reach(p + 1) + config.chaos.margin);
+  } else {
+    ropeLengths = topBalls.map(ball => config.ropeLength + maxRadius - ball.radius);
+    gaps = columns.slice(1).map(() => config.ballSpacing);
+  }
+  gaps = gaps.map(gap => Math.max(gap, config.ballSpacing));
+  
+  // The longest pendulum hangs its lowest ball BALL_CLEARANCE above the base
+  const drops = columns.map((column, p) => getColumnDrop(column, ropeLengths[p], linkLength));
+  const railHeight = Math.max(...drops) + BASE_HEIGHT + BALL_CLEARANCE;
+  
+  // Chaotic pendulums swing right over, so they hang from one rail and swing just in front of it.
+  // A Foucault pendulum swings in every direction and a V of strings would hold it in one plane.
+  const rails = describeRails(config.mode === 'chaos' || config.mode === 'foucault' ? null : config.suspension);
+  const allRadii = columns.flat().map(ball => ball.radius);
+  const swingZ = config.mode === 'chaos' ? frame.depth / 2 + Math.max(...allRadii) + config.chaos.margin : 0;
+  const balls = describeBalls(columns, gaps, ropeLengths, linkLength, railHeight, swingZ);
+  
+  // A Foucault pendulum turns freely about its pivot and barely loses energy, the Earth's rotation
+  // is felt as pseudo-forces in a rotating frame
+  const rotatingFrame = config.mode === 'foucault';
+  if (rotatingFrame) {
+    balls.forEach(ball => Object.assign(ball, {
+      swing: 'spherical',
+      linearDamping: config.foucault.damping,
+      angularDamping: config.foucault.damping
+    }));
+  }
+  
+  // Coupled pendulums pass their swing back and forth through the springs and a pendulum wave
+  // lines up again after a whole cycle, damping would hide both
+  const swingDamping = config.mode === 'coupled' ? config.coupled.damping :
+    config.mode === 'wave' ? config.wave.damping :
+    undefined;
+  if (swingDamping !== undefined) {
+    balls.forEach(ball => Object.assign(ball, {
+      linearDamping: swingDamping,
+      angularDamping: swingDamping
+    }));
+  }
+  const rowHalfWidth = balls.length > 0 ? balls[balls.length - 1].position.x : 0;
+  const frameWidth = 2 * (rowHalfWidth + Math.max(...drops) + frame.width);
+  
+  return {
+    frames: describeFrame(frame, frameWidth, railHeight, rails),
+    balls,
+    strings: describeStrings(balls, rails, railHeight),
+    springs: config.mode === 'coupled' ? describeSprings(balls, config.coupled) : [],
+    floor: {
+      size: { width: FLOOR_SIZE, depth: FLOOR_SIZE },
+      position: { x: 0, y: BASE_HEIGHT, z: 0 }
+    },
+    rotatingFrame
+  };
+}
+
+// Balls per pendulum, only chaotic pendulums have more than one
+function getLinksPerPendulum(config) {
+  return config.mode === 'chaos' ? Math.max(1, Math.round(config.chaos.links)) : 1;
+}
+
+// Number of balls the settings describe, config.balls overrides them in this order
+export function getBallCount(config = sceneConfig) {
+  return config.numBalls * getLinksPerPendulum(config);
+}
+
+// Whether any ball hangs from another ball rather than from the frame
+export function hasLinkedBalls(description) {
+  return description.balls.some(ball => ball.parent !== undefined);
+}
+
+// Whether the ideal reference cradle can model the described balls, it knows nothing of linked
+// balls, springs between them or the pseudo-forces of a rotating frame
+export function hasIdealCradle(description) {
+  return !hasLinkedBalls(description) &&
+    !(description.springs && description.springs.length > 0) &&
+    !description.rotatingFrame;
+}
+
+// Drop from the rail to the bottom of a pendulum's lowest ball
+function getColumnDrop(column, ropeLength, linkLength) {
+  return ropeLength + column.reduce((sum, ball) => sum + ball.radius * 2, 0) + (column.length - 1) * linkLength;
+}
+
+// Radius and shape of a ball, plus whichever of its material, density, mass, restitution, friction
+// and colour config.balls overrides. Physics and materials fall back to their shared settings for the rest.
+function resolveBallSettings(config, index) {
+  const override = (config.balls && config.balls[index]) || {};
+  return applyBallOverrides({
+    radius: override.radius ?? config.ballRadius,
+    shape: override.shape || config.ballShape || 'sphere'
+  }, override);
+}
+
+// Add a ball's material preset, and then its explicit mass, restitution, friction and colour, to its
+// settings. Presets are looked up by their own names only, so "constructor" and the like aren't found.
+export function applyBallOverrides(settings, override, presets = ballMaterialPresets) {
+  const preset = typeof override.material === 'string' && Object.hasOwn(presets, override.material) ?
+    presets[override.material] :
+    null;
+  if (preset) {
+    settings.material = override.material;
+    Object.assign(settings, preset.physics);
+  }
+  
+  BALL_OVERRIDE_KEYS.forEach(key => {
+    if (override[key] !== undefined && override[key] !== null) {
+      settings[key] = override[key];
+    }
+  });
+  return settings;
+}
+
+// Top rails the strings hang from: one in the swing plane, or a front and back pair for bifilar suspension
+function describeRails(suspension) {
+  if (!suspension || suspension.type !== 'bifilar') {
+    return [{ suffix: '', z: 0 }];
+  }
+  
+  const offset = suspension.railSeparation / 2;
+  return [
+    { suffix: '_front', z: offset },
+    { suffix: '_back', z: -offset }
+  ];
+}
+
+// Describe the base, and the legs and top bar under every rail
+function describeFrame(frame, frameWidth, railHeight, rails) {
+  const legHeight = railHeight - BASE_HEIGHT;
+  const legX = frameWidth / 2 - frame.width / 2;
+  const legY = BASE_HEIGHT + legHeight / 2;
+  const barSize = { width: frameWidth, height: frame.height, depth: frame.depth };
+  const legSize = { width: frame.width, height: legHeight, depth: frame.depth };
+  
+  // The base spans the depth between the rails
+  const railSpan = Math.max(...rails.map(rail => rail.z)) - Math.min(...rails.map(rail => rail.z));
+  const baseSize = { ...barSize, depth: frame.depth + railSpan };
+  
+  const parts = [{ name: 'frame_base', size: baseSize, position: { x: 0, y: BASE_HEIGHT, z: 0 } }];
+  rails.forEach(({ suffix, z }) => {
+    parts.push(
+      { name: `frame_left${suffix}`, size: legSize, position: { x: -legX, y: legY, z } },
+      { name: `frame_right${suffix}`, size: legSize, position: { x: legX, y: legY, z } },
+      { name: `frame_top${suffix}`, size: barSize, position: { x: 0, y: railHeight, z } }
+    );
+  });
+  return parts;
+}
+
+// Describe the pendulums hanging in a row centred under the rails, gaps[p] apart surface to surface
+// from the next one. The first ball of pendulum p hangs ropeLengths[p] below the rail and swings about
+// its pivot on the rail axis, every further ball hangs linkLength below the bottom of its parent.
+// All of them swing in the plane z = swingZ.
+function describeBalls(columns, gaps, ropeLengths, linkLength, railHeight, swingZ) {
+  const widths = columns.map(column => Math.max(...column.map(ball => ball.radius)) * 2);
+  const rowWidth = widths.reduce((sum, width) => sum + width, 0) + gaps.reduce((sum, gap) => sum + gap, 0);
+  
+  const balls = [];
+  let left = -rowWidth / 2;
+  columns.forEach((column, p) => {
+    const x = left + widths[p] / 2;
+    let pivotY = railHeight;
+    column.forEach((settings, link) => {
+      const y = pivotY - (link === 0 ? ropeLengths[p] : linkLength) - settings.radius;
+      const ball = {
+        name: `ball_${balls.length}`,
+        ...settings,
+        position: { x, y, z: swingZ },
+        pivot: { x, y: pivotY, z: swingZ }
+      };
+      if (column.length > 1) {
+        ball.pendulum = p;
+        ball.link = link;
+        if (link > 0) {
+          ball.parent = balls.length - 1;
+        }
+      }
+      balls.push(ball);
+      pivotY = y - settings.radius;
+    });
+    left += widths[p] + (gaps[p] || 0);
+  });
+  return balls;
+}
+
+// Describe a spring between the facing sides of every pair of neighbouring balls. Anchors are in
+// each ball's own frame, the spring is relaxed at the gap the balls hang apart.
+function describeSprings(balls, coupled) {
+  return balls.slice(1).map((_, i) => describeSpring(balls, i, i + 1, coupled.stiffness, `spring_${i}`));
+}
+
+// Spring from the right side of balls[left] to the left side of balls[right], which hangs further along x
+export function describeSpring(balls, left, right, stiffness, name) {
+  const a = balls[left];
+  const b = balls[right];
+  return {
+    name,
+    balls: [left, right],
+    anchors: [{ x: a.radius, y: 0, z: 0 }, { x: -b.radius, y: 0, z: 0 }],
+    restLength: (b.position.x - b.radius) - (a.position.x + a.radius),
+    stiffness
+  };
+}
+
+// Describe the strings down to the top of every first ball, from its pivot or from each rail of a
+// bifilar pair, and a single string from the bottom of every other ball's parent down to its top
+function describeStrings(balls, rails, railHeight) {
+  const strings = [];
+  balls.forEach((ball, index) => {
+    const end = { x: ball.position.x, y: ball.position.y + ball.radius, z: ball.position.z };
+    if (ball.parent !== undefined) {
+      strings.push({
+        name: `string_${index}`,
+        ball: index,
+        parentBall: ball.parent,
+        start: { ...ball.pivot },
+        end
+      });
+      return;
+    }
+    
+    rails.forEach(({ suffix, z }) => {
+      strings.push({
+        name: `string_${index}${suffix}`,
+        ball: index,
+        frame: `frame_top${suffix}`,
+        start: rails.length > 1 ? { x: ball.position.x, y: railHeight, z } : { ...ball.pivot },
+        end: { ...end }
+      });
+    });
+  });
+  return strings;
+}
@@ -3,25 +3,53 @@ import './style.css';
 import './ui/styles.css';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { initScene, createCradle, updateScene } from './scene.js';
-import { initPhysicsSystem, updatePhysics, applyBallImpulse, cleanupPhysics, restartPhysics } from './physics/index.js';
-import { UserConsole } from './ui/console.js';
-import { sceneConfig, physicsConfig, visualConfig } from './config/index.js';
+import { initScene, createCradle, updateScene, createBallMaterial, clearSwingTraces } from './scene.js';
+import {
+  initPhysicsSystem,
+  updatePhysics,
+  cleanupPhysics,
+  restartPhysics,
+  updatePhysicsConfig,
+  hasSoftBodySupport,
+  getStringType,
+  getTelemetry,
+  setInitialDisplacement,
+  resetFrameClock,
+  snapshotWorld,
+  restoreWorld
+} from './physics/index.js';
+import { setupControls, releaseAllDrags } from './controls.js';
+import { isReplaying, updateReplay, stopReplay } from './replay.js';
+import { UserConsole, isTypingTarget } from './ui/console.js';
+import { ReplayTimeline } from './ui/timeline.js';
+import { visualConfig } from './config/index.js';
 import { displayAmmoCapabilities } from './checkammo.js';
+import { fetchSceneFile, loadSceneFile } from './sceneFile.js';
+import { createShareHash, readShareHash, applyShareState } from './shareState.js';
 
 // Global state
 let scene, camera, renderer, controls;
 let cradle;
 let physicsSystem;
 let userConsole;
+let timeline;
 let isAnimating = true;
 
+// Cradle of the scene file named by the ?scene= URL parameter, used instead of the settings' layout
+let sceneFileDescription;
+
 // Initialize the application
 async function init() {
   try {
     // Display Ammo.js capabilities first
     displayAmmoCapabilities();
     
+    // Load a scene file first, it can set the camera and lighting
+    sceneFileDescription = await loadSceneFromUrl();
+    
+    // Then the settings and camera of a shared link, they were taken with the scene file loaded
+    const sharedSnapshot = await loadShareStateFromUrl();
+    
     // Initialize scene
     ({ scene, camera, renderer, controls } = initScene());
     
@@ -31,7 +59,7 @@ async function init() {
     }
     
     // Create visual cradle
-    cradle = createCradle();
+    cradle = createCradle(sceneFileDescription);
     scene.add(cradle);
     
     // Initialize physics system with cradle
@@ -40,8 +68,16 @@ async function init() {
       throw new Error("Failed to initialize physics system");
     }
     
+    // Resume the shared link's swing where it was taken
+    if (sharedSnapshot && !await restoreWorld(sharedSnapshot)) {
+      alert("Could not restore the motion of the shared link, the cradle starts at rest instead.");
+    }
+    
     // Initialize user console
-    userConsole = new UserConsole(handleSettingsChange, handleRestart);
+    userConsole = new UserConsole(handleSettingsChange, handleRestart, getTelemetry(), handleReleaseAll, handleShareLink);
+    
+    // Initialize record / replay timeline
+    timeline = new ReplayTimeline();
     
     // Set up event listeners
     setupEventListeners();
@@ -58,15 +94,63 @@ async function init() {
   }
 }
 
+// Load the scene file named by the ?scene= URL parameter, e.g. ?scene=scenes/classic-5-ball.json.
+// Without one, or if it can't be loaded, the cradle is laid out from the settings.
+async function loadSceneFromUrl() {
+  const url = new URLSearchParams(window.location.search).get('scene');
+  if (!url) return undefined;
+  
+  try {
+    return loadSceneFile(await fetchSceneFile(url));
+  } catch (error) {
+    console.error("Error loading scene file:", error);
+    alert(`Could not load scene file ${url}, using the current settings instead.\n\n${error.message}`);
+    return undefined;
+  }
+}
+
+// Apply the settings and camera pose of a shared link in the URL hash (#state=...), resolves to the
+// link's world snapshot if it has one. A link that can't be read leaves the current settings.
+async function loadShareStateFromUrl() {
+  try {
+    const state = await readShareHash(window.location.hash);
+    if (!state) return null;
+    
+    applyShareState(state);
+    return state.snapshot;
+  } catch (error) {
+    console.error("Error loading shared link:", error);
+    alert(`Could not load the shared link, using the default settings instead.\n\n${error.message}`);
+    return null;
+  }
+}
+
+// Put the current settings, camera pose and optionally the exact state of the swing into the URL
+// hash, resolves to the link
+async function handleShareLink(includeSnapshot) {
+  const snapshot = includeSnapshot ? await snapshotWorld() : null;
+  if (includeSnapshot && !snapshot) {
+    throw new Error("Could not capture the motion of the cradle");
+  }
+  
+  const hash = await createShareHash({ camera, target: controls.target, snapshot });
+  window.history.replaceState(null, '', hash);
+  return window.location.href;
+}
+
 // Handle settings changes from user console
 function handleSettingsChange() {
   try {
     // Update visual settings
     updateVisualSettings();
     
+    // Apply physics settings that don't need a rebuild, such as the rope material
+    updatePhysicsConfig();
+    
     // Restart physics if needed
     if (physicsSystem) {
       restartPhysics(cradle);
+      clearSwingTraces(cradle);
     }
   } catch (error) {
     console.error("Error handling settings change:", error);
@@ -76,16 +160,21 @@ function handleSettingsChange() {
 // Handle scene restart
 async function handleRestart() {
   try {
-    // Clean up existing physics
+    // Leave replay, drop held balls and clean up existing physics
+    stopReplay();
+    releaseAllDrags();
     cleanupPhysics();
     
     // Remove existing cradle from scene
     scene.remove(cradle);
     
-    // Create new cradle with updated settings
-    cradle = createCradle();
+    // Create new cradle with updated settings, a loaded scene file's cradle stays as it is
+    cradle = createCradle(sceneFileDescription);
     scene.add(cradle);
     
+    // Presets change the renderer settings along with everything else
+    updateVisualSettings();
+    
     // Reinitialize physics system with new cradle
     const success = await initPhysicsSystem(cradle);
     if (!success) {
@@ -97,6 +186,27 @@ async function handleRestart() {
   }
 }
 
+// Raise every pendulum (or the first count) to its angle and release them together, each angleStep
+// degrees further out than the one before. Starts a pendulum wave, a chaotic pendulum sensitivity
+// demo, or coupled pendulums with only the first swinging.
+async function handleReleaseAll(angleDeg, angleStep = 0, count = Infinity) {
+  try {
+    stopReplay();
+    releaseAllDrags();
+    const balls = cradle.userData.description.balls
+      .map((ball, index) => (ball.parent === undefined ? index : -1))
+      .filter(index => index >= 0)
+      .slice(0, count);
+    const angles = balls.map((_, i) => angleDeg + i * angleStep);
+    if (!await setInitialDisplacement({ balls, angleDeg: angles })) {
+      throw new Error("Failed to displace balls");
+    }
+    clearSwingTraces(cradle);
+  } catch (error) {
+    console.error("Error releasing balls:", error);
+  }
+}
+
 // Update visual settings
 function updateVisualSettings() {
   try {
@@ -116,8 +226,12 @@ function updateVisualSettings() {
     if (cradle) {
       cradle.traverse((object) => {
         if (object.isMesh) {
-          if (object.name.includes('ball')) {
-            object.material = new THREE.MeshStandardMaterial(visualConfig.ballMaterial);
+          if (object.name.startsWith('ghost_')) {
+            object.material.color.set(visualConfig.referenceGhosts.color);
+            object.material.opacity = visualConfig.referenceGhosts.opacity;
+            object.visible = visualConfig.referenceGhosts.enabled;
+          } else if (object.name.includes('ball')) {
+            object.material = createBallMaterial(object.userData.description);
           } else if (object.name.includes('frame')) {
             object.material = new THREE.MeshStandardMaterial(visualConfig.frameMaterial);
           } else if (object.name.includes('string')) {
@@ -136,13 +250,14 @@ function setupEventListeners() {
   // Window resize
   window.addEventListener('resize', onWindowResize, false);
   
-  // Mouse click for impulse
-  window.addEventListener('click', onMouseClick, false);
+  // Pull balls back and release them with mouse or touch
+  setupControls(camera, renderer, controls, () => cradle);
   
   // Space key to pause/resume
   window.addEventListener('keydown', (event) => {
-    if (event.code === 'Space') {
+    if (event.code === 'Space' && !isTypingTarget(event.target)) {
       isAnimating = !isAnimating;
+      resetFrameClock();
     }
   });
 }
@@ -154,46 +269,25 @@ function onWindowResize() {
   renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-// Handle mouse click for impulse
-function onMouseClick(event) {
-  if (!isAnimating) return;
-  
-  // Calculate mouse position in normalized device coordinates
-  const mouse = new THREE.Vector2();
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  
-  // Create raycaster
-  const raycaster = new THREE.Raycaster();
-  raycaster.setFromCamera(mouse, camera);
+// Animation loop
+function animate(time = performance.now()) {
+  requestAnimationFrame(animate);
   
-  // Find intersected objects
-  const intersects = raycaster.intersectObjects(cradle.children, true);
+  // A replay drives the meshes from the recording while physics waits
+  if (isReplaying()) {
+    updateReplay(cradle, time);
+  } else if (isAnimating && cradle) {
+    updatePhysics(cradle, time);
+  }
   
-  // Apply impulse to first intersected ball
-  for (const intersect of intersects) {
-    if (intersect.object.name.includes('ball')) {
-      const ballIndex = parseInt(intersect.object.name.split('_')[1]);
-      const impulse = new THREE.Vector3(0, physicsConfig.impulse, 0);
-      applyBallImpulse(ballIndex, impulse);
-      break;
-    }
+  if (timeline) {
+    timeline.update();
   }
-}
-
-// Animation loop
-function animate() {
-  requestAnimationFrame(animate);
   
   if (isAnimating) {
-    // Update physics with defensive check
-    if (cradle) {
-      updatePhysics(cradle);
-    }
-    
     // Update scene with defensive check
     if (typeof updateScene === 'function') {
-      updateScene();
+      updateScene(cradle);
     }
     
     // Update controls with defensive check
@@ -219,13 +313,8 @@ function displaySoftBodyStatus() {
   status.style.fontSize = '14px';
   status.style.zIndex = '1000';
   
-  // Check for actual soft body capability rather than instantiated objects
-  const hasSoftBodySupport = typeof Ammo !== 'undefined' && 
-    typeof Ammo.btSoftBodyHelpers === 'function' && 
-    typeof Ammo.btSoftBodyWorldInfo === 'function' &&
-    typeof Ammo.btSoftRigidDynamicsWorld === 'function';
-    
-  status.textContent = `Soft Body Support: ${hasSoftBodySupport ? 'Enabled' : 'Disabled'}`;
+  // Report the capability of the Ammo.js build running in the physics worker
+  status.textContent = `Soft Body Support: ${hasSoftBodySupport() ? 'Enabled' : 'Disabled'}, Strings: ${getStringType()}`;
   
   document.body.appendChild(status);
 }
@@ -0,0 +1,42 @@
+// pendulumWave.js - Rope lengths and spacing for a pendulum wave: a row of uncoupled pendulums whose
+// swing counts over one cycle step up by one, so they drift out of phase and line up again every cycle
+import { physicsConfig } from './config/physics.js';
+import { getBobMass, getBobInertia } from './physics/bobShapes.js';
+
+// Shortest rope a pendulum gets, when the asked-for period is too short for the bob
+const MIN_ROPE_LENGTH = 0.1;
+
+// Rope length (pivot to the top of the bob) that makes a bob swing with the given period when
+// released at amplitude degrees. The bob is a compound pendulum with arm d, its small-swing period
+// is T = 2π sqrt((d² + k) / (g d)) with k = I / m about its centre, wider swings take longer.
+export function getRopeLengthForPeriod(period, ball, amplitude = 0, gravity = -physicsConfig.gravityConstant) {
+  const theta = amplitude * Math.PI / 180;
+  const smallSwingPeriod = period / (1 + theta ** 2 / 16 + 11 * theta ** 4 / 3072);
+  const simpleLength = gravity * (smallSwingPeriod / (2 * Math.PI)) ** 2;
+  const k = getBobInertia(ball) / getBobMass(ball);
+  // Longer root of d² - L d + k = 0
+  const arm = (simpleLength + Math.sqrt(Math.max(simpleLength * simpleLength - 4 * k, 0))) / 2;
+  return arm - ball.radius;
+}
+
+// Rope length of every pendulum, pendulum i completes wave.oscillations + i full swings per wave.cyclePeriod
+export function getPendulumWaveRopeLengths(wave, balls) {
+  return balls.map((ball, i) => {
+    const period = wave.cyclePeriod / (wave.oscillations + i);
+    const length = getRopeLengthForPeriod(period, ball, wave.releaseAngle);
+    if (length < MIN_ROPE_LENGTH) {
+      console.error(`Pendulum wave: a ${period.toFixed(3)} s period needs a rope shorter than ${MIN_ROPE_LENGTH}, use a longer cycle or fewer oscillations`);
+      return MIN_ROPE_LENGTH;
+    }
+    return length;
+  });
+}
+
+// Surface-to-surface gap between neighbouring bobs, wide enough that they can't touch when released
+// at wave.releaseAngle and swinging towards each other. Holds for any row of pendulums released
+// at an angle, such as Foucault pendulums.
+export function getPendulumWaveGaps(wave, balls, ropeLengths) {
+  const sin = Math.sin(Math.abs(wave.releaseAngle) * Math.PI / 180);
+  const reach = i => (ropeLengths[i] + balls[i].radius) * sin;
+  return balls.slice(1).map((_, i) => reach(i) + reach(i + 1) + wave.margin);
+}
@@ -0,0 +1,29 @@
+// ammoLoader.js - Load the bundled Ammo.js build without relying on a <script> tag
+
+const AMMO_SCRIPT_URL = '/lib/ammo.wasm.js';
+const AMMO_WASM_URL = '/lib/ammo.wasm.wasm';
+
+let ammoPromise = null;
+
+// Evaluate the Ammo.js script source and return its factory function.
+// Under Node the script expects CommonJS globals, which callers pass in here.
+export function evaluateAmmoFactory(source, { require, filename, dirname } = {}) {
+  return new Function('require', '__filename', '__dirname', `${source}\nreturn Ammo;`)(require, filename, dirname);
+}
+
+// Fetch and initialize Ammo.js once, later calls share the same instance
+export function loadAmmo() {
+  if (!ammoPromise) {
+    ammoPromise = fetch(AMMO_SCRIPT_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to fetch Ammo.js: ${response.status}`);
+        }
+        return response.text();
+      })
+      .then(source => evaluateAmmoFactory(source)({
+        locateFile: path => path.endsWith('.wasm') ? AMMO_WASM_URL : path
+      }));
+  }
+  return ammoPromise;
+}
@@ -0,0 +1,52 @@
+// bobShapes.js - Collision shapes, volumes and masses of the pendulum bobs
+// Every shape is sized by the ball radius r and reaches r from its centre along x and y, so
+// spacing, string ends and collisions line up the same way as for spheres. Cylinders and
+// capsules lie along z, across the swing plane.
+import { physicsConfig } from '../config/physics.js';
+
+// Volume and moment of inertia about the z axis (as a multiple of m r²) of each shape.
+// The capsule is a 2r long cylinder between two hemispheres.
+const SHAPES = {
+  sphere: { volume: r => 4 / 3 * Math.PI * r ** 3, inertiaFactor: 0.4 },
+  cylinder: { volume: r => 2 * Math.PI * r ** 3, inertiaFactor: 0.5 },
+  cube: { volume: r => 8 * r ** 3, inertiaFactor: 2 / 3 },
+  capsule: { volume: r => 10 / 3 * Math.PI * r ** 3, inertiaFactor: 0.46 }
+};
+
+// Names of the bob shapes, balls of any other shape are spheres
+export const BOB_SHAPES = Object.keys(SHAPES);
+
+function getShape(ball) {
+  return SHAPES[ball.shape] || SHAPES.sphere;
+}
+
+// Create the Ammo collision shape of a described ball
+export function createBobShape(physics, ball) {
+  const r = ball.radius;
+  switch (ball.shape) {
+    case 'cylinder':
+      return new physics.btCylinderShapeZ(new physics.btVector3(r, r, r));
+    case 'cube':
+      return new physics.btBoxShape(new physics.btVector3(r, r, r));
+    case 'capsule':
+      return new physics.btCapsuleShapeZ(r, 2 * r);
+    default:
+      return new physics.btSphereShape(r);
+  }
+}
+
+export function getBobVolume(ball) {
+  return getShape(ball).volume(ball.radius);
+}
+
+// Mass of a described ball: its own mass, else its volume times the density in use, else the shared mass
+export function getBobMass(ball) {
+  if (ball.mass !== undefined && ball.mass !== null) return ball.mass;
+  const density = ball.density ?? physicsConfig.ball.density;
+  return density ? density * getBobVolume(ball) : physicsConfig.ball.mass;
+}
+
+// Moment of inertia of a bob about the z axis through its centre
+export function getBobInertia(ball) {
+  return getShape(ball).inertiaFactor * getBobMass(ball) * ball.radius ** 2;
+}
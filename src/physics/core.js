@@ -1,5 +1,5 @@
-import * as THREE from 'three';
 import { physicsConfig } from '../config/physics.js';
+import { createEventEmitter } from './events.js';
 
 // Physics variables
 let physics = null;
@@ -11,47 +11,104 @@ let softBodyHelpers = null;
 let softBodyWorldInfo = null;
 
 // Collision tracking
-const collisionPairs = new Set();
+const bodyNames = new Map(); // Collision object pointer -> readable name
+let activeContacts = new Map(); // Pair key -> last reported contact event
 
-// Helper to track unique collisions
-function getCollisionPairKey(obj1, obj2) {
-  const id1 = obj1.userIndex || obj1.ptr;
-  const id2 = obj2.userIndex || obj2.ptr;
-  return id1 < id2 ? `${id1}-${id2}` : `${id2}-${id1}`;
+// Collision event listeners
+const contactEvents = createEventEmitter(['begin', 'persist', 'end']);
+
+// Register a readable name for a collision object so contact events can report it
+export function registerBodyName(body, name) {
+  if (!physics || !body) return;
+  bodyNames.set(physics.getPointer(body), name);
+}
+
+// Resolve the registered name of a collision object returned by a manifold
+function getBodyName(obj) {
+  return bodyNames.get(physics.getPointer(obj)) || 'unknown';
+}
+
+// Key of the pair of collision objects touching in a manifold, by pointer so unnamed bodies
+// stay apart. Names are only for reporting.
+function getCollisionPairKey(contactManifold) {
+  const pointer0 = physics.getPointer(contactManifold.getBody0());
+  const pointer1 = physics.getPointer(contactManifold.getBody1());
+  return pointer0 < pointer1 ? `${pointer0}|${pointer1}` : `${pointer1}|${pointer0}`;
+}
+
+// Subscribe to collision events, each returns an unsubscribe function
+export function onContactBegin(listener) {
+  return contactEvents.on('begin', listener);
+}
+
+export function onContactPersist(listener) {
+  return contactEvents.on('persist', listener);
+}
+
+export function onContactEnd(listener) {
+  return contactEvents.on('end', listener);
+}
+
+// Convert an Ammo vector into a plain object that can be kept after the step
+function toPlainVector(vec) {
+  return { x: vec.x(), y: vec.y(), z: vec.z() };
 }
 
-// Collision callback setup
-function setupCollisionCallback(dispatcher) {
+// Build a contact event from a manifold, or null if no point is touching
+function createContactEvent(contactManifold) {
+  const points = [];
+  let impulse = 0;
+  
+  for (let j = 0; j < contactManifold.getNumContacts(); j++) {
+    const contact = contactManifold.getContactPoint(j);
+    
+    // Manifolds keep points until they separate past the breaking threshold
+    if (contact.getDistance() > 0) continue;
+    
+    const appliedImpulse = contact.getAppliedImpulse();
+    impulse += appliedImpulse;
+    points.push({
+      positionA: toPlainVector(contact.getPositionWorldOnA()),
+      positionB: toPlainVector(contact.getPositionWorldOnB()),
+      normal: toPlainVector(contact.get_m_normalWorldOnB()),
+      distance: contact.getDistance(),
+      impulse: appliedImpulse
+    });
+  }
+  
+  if (points.length === 0) return null;
+  
+  return {
+    bodyA: getBodyName(contactManifold.getBody0()),
+    bodyB: getBodyName(contactManifold.getBody1()),
+    points,
+    normal: points[0].normal,
+    impulse
+  };
+}
+
+// Compare this step's contacts with the previous step and emit begin/persist/end events
+function processContacts(dispatcher) {
+  const currentContacts = new Map();
   const numManifolds = dispatcher.getNumManifolds();
   
   for (let i = 0; i < numManifolds; i++) {
     const contactManifold = dispatcher.getManifoldByIndexInternal(i);
-    const body0 = contactManifold.getBody0();
-    const body1 = contactManifold.getBody1();
+    const event = createContactEvent(contactManifold);
+    if (!event) continue;
     
-    // Only process if there are actual contact points
-    const numContacts = contactManifold.getNumContacts();
-    if (numContacts > 0) {
-      const pairKey = getCollisionPairKey(body0, body1);
-      
-      // Only log first collision between this pair
-      if (!collisionPairs.has(pairKey)) {
-        collisionPairs.add(pairKey);
-        
-        // Try to get meaningful names for the objects
-        const name0 = body0.name || 'unknown';
-        const name1 = body1.name || 'unknown';
-        
-        console.log(`Collision detected between: ${name0} and ${name1}`);
-        console.log(`Contact points: ${numContacts}`);
-        
-        // Log the first contact point's position
-        const contact = contactManifold.getContactPoint(0);
-        const pos = contact.getPositionWorldOnB();
-        console.log(`Collision position: (${pos.x().toFixed(2)}, ${pos.y().toFixed(2)}, ${pos.z().toFixed(2)})`);
-      }
-    }
+    const pairKey = getCollisionPairKey(contactManifold);
+    currentContacts.set(pairKey, event);
+    contactEvents.emit(activeContacts.has(pairKey) ? 'persist' : 'begin', event);
   }
+  
+  activeContacts.forEach((event, pairKey) => {
+    if (!currentContacts.has(pairKey)) {
+      contactEvents.emit('end', { bodyA: event.bodyA, bodyB: event.bodyB });
+    }
+  });
+  
+  activeContacts = currentContacts;
 }
 
 // Helper to explicitly check soft body capability
@@ -68,35 +125,23 @@ function checkSoftBodyCapability(physics) {
   }
 }
 
-// Initialize physics
-export async function initPhysics() {
+// Initialize physics with a ready Ammo.js instance
+export async function initPhysics(ammo) {
   try {
-    // Make sure Ammo is available globally from the script tag
-    if (typeof Ammo === 'undefined' || !window.AmmoReadyPromise) {
-      console.error('Ammo.js not loaded or AmmoReadyPromise not available');
-      return null;
-    }
-    
-    // Initialize Ammo.js using the ready promise
-    try {
-      physics = await window.AmmoReadyPromise;
-      console.log('Ammo.js initialized:', typeof physics);
-    } catch (error) {
-      console.error('Error initializing Ammo.js:', error);
+    if (!ammo) {
+      console.error('Ammo.js instance not provided');
       return null;
     }
+    physics = ammo;
     
     // Explicitly check and log soft body capability first
     const softBodyCapable = checkSoftBodyCapability(physics);
     console.log(`Ammo.js soft body capability: ${softBodyCapable ? 'Available' : 'Not available'}`);
     
-    if (!softBodyCapable) {
-      console.error('Soft body support is required but not available');
-      return null;
-    }
-    
     // Create appropriate collision configuration
-    const collisionConfiguration = new physics.btSoftBodyRigidBodyCollisionConfiguration();
+    const collisionConfiguration = softBodyCapable ?
+      new physics.btSoftBodyRigidBodyCollisionConfiguration() :
+      new physics.btDefaultCollisionConfiguration();
     
     // Create dispatcher
     const dispatcher = new physics.btCollisionDispatcher(collisionConfiguration);
@@ -107,12 +152,34 @@ export async function initPhysics() {
     // Create solver
     const solver = new physics.btSequentialImpulseConstraintSolver();
     
-    // Create soft body solver
-    const softBodySolver = new physics.btDefaultSoftBodySolver();
-    
     // Create gravity vector
     const gravity = new physics.btVector3(0, physicsConfig.gravityConstant, 0);
     
+    if (!softBodyCapable) {
+      // Rigid bodies only, strings are built from rigid constraints
+      physicsWorld = new physics.btDiscreteDynamicsWorld(dispatcher, broadphase, solver, collisionConfiguration);
+      physicsWorld.setGravity(gravity);
+      softBodyWorldInfo = null;
+      softBodyHelpers = null;
+      
+      console.log("Physics world initialized without soft body support");
+      
+      return {
+        physics,
+        physicsWorld,
+        softBodyHelpers,
+        softBodyWorldInfo,
+        dispatcher,
+        broadphase,
+        solver,
+        collisionConfiguration,
+        hasSoftBodySupport: false
+      };
+    }
+    
+    // Create soft body solver
+    const softBodySolver = new physics.btDefaultSoftBodySolver();
+    
     // Create world with soft body support
     physicsWorld = new physics.btSoftRigidDynamicsWorld(
       dispatcher,
@@ -168,19 +235,11 @@ export function stepPhysics(deltaTime) {
   // Log simulation step
   console.debug(`Stepping physics simulation with dt: ${deltaTime}`);
   
-  // Step simulation
-  physicsWorld.stepSimulation(deltaTime, physicsConfig.maxSubSteps);
+  // Step exactly deltaTime, the caller owns the fixed timestep accumulator
+  physicsWorld.stepSimulation(deltaTime, 0);
   
-  // Check for collisions
-  const dispatcher = physicsWorld.getDispatcher();
-  const numManifolds = dispatcher.getNumManifolds();
-  console.debug(`Number of collision manifolds: ${numManifolds}`);
-  
-  if (numManifolds > 0) {
-    console.debug("Found collision manifolds, checking contacts...");
-  }
-  
-  setupCollisionCallback(dispatcher);
+  // Report collisions
+  processContacts(physicsWorld.getDispatcher());
 }
 
 // Clear the physics world
@@ -188,12 +247,15 @@ export function clearPhysicsWorld() {
   if (!physicsWorld) return;
   
   // Clear collision tracking
-  collisionPairs.clear();
+  activeContacts.clear();
+  bodyNames.clear();
   
-  // Remove all bodies and constraints
-  for (let i = physicsWorld.getNumCollisionObjects() - 1; i >= 0; i--) {
-    const obj = physicsWorld.getCollisionObjectArray().at(i);
-    physicsWorld.removeCollisionObject(obj);
+  // Remove all bodies and constraints (not every Ammo build exposes these accessors)
+  if (physicsWorld.getNumCollisionObjects) {
+    for (let i = physicsWorld.getNumCollisionObjects() - 1; i >= 0; i--) {
+      const obj = physicsWorld.getCollisionObjectArray().at(i);
+      physicsWorld.removeCollisionObject(obj);
+    }
   }
   
   // Clear soft bodies if they exist
@@ -205,9 +267,11 @@ export function clearPhysicsWorld() {
   }
   
   // Clear constraints
-  for (let i = physicsWorld.getNumConstraints() - 1; i >= 0; i--) {
-    const constraint = physicsWorld.getConstraint(i);
-    physicsWorld.removeConstraint(constraint);
+  if (physicsWorld.getNumConstraints) {
+    for (let i = physicsWorld.getNumConstraints() - 1; i >= 0; i--) {
+      const constraint = physicsWorld.getConstraint(i);
+      physicsWorld.removeConstraint(constraint);
+    }
   }
 }
 
@@ -0,0 +1,139 @@
+// displacement.js - Deterministic starting positions: raise balls along their pendulum arc
+import { getPhysics } from './core.js';
+import { getBallBodies } from './rigidBodies.js';
+import { getSoftBodies } from './softBodies.js';
+import { displaceRigidString } from './rigidStrings.js';
+
+// Ball centres and rope nodes of the cradle hanging at rest, the ropes stretched under the balls'
+// weight. Displacement swings these, so the ropes don't have to stretch again once released.
+let restBalls = [];
+let restRopes = [];
+
+const toPoint = vector => ({ x: vector.x(), y: vector.y(), z: vector.z() });
+
+// Take the current pose as the rest pose, call once the new cradle has settled
+export function storeRestPose() {
+  restBalls = getBallBodies().map(body => toPoint(body.getWorldTransform().getOrigin()));
+  restRopes = getSoftBodies().map(rope => {
+    const nodes = rope.get_m_nodes();
+    const points = [];
+    for (let i = 0; i < nodes.size(); i++) {
+      points.push(toPoint(nodes.at(i).get_m_x()));
+    }
+    return points;
+  });
+}
+
+// Rotate (x, y) about a pivot by angle in the swing (xy) plane
+function rotateAboutPivot(pivot, x, y, angle) {
+  const dx = x - pivot.x;
+  const dy = y - pivot.y;
+  return {
+    x: pivot.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: pivot.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+  };
+}
+
+// Place a ball on its arc at rest, turned so its top still faces the pivot
+function displaceBall(body, rest, pivot, angle) {
+  const physics = getPhysics();
+  const position = rotateAboutPivot(pivot, rest.x, rest.y, angle);
+  
+  const transform = new physics.btTransform();
+  transform.setIdentity();
+  transform.setOrigin(new physics.btVector3(position.x, position.y, rest.z));
+  transform.setRotation(new physics.btQuaternion(0, 0, Math.sin(angle / 2), Math.cos(angle / 2)));
+  body.setWorldTransform(transform);
+  body.getMotionState().setWorldTransform(transform);
+  
+  const zero = new physics.btVector3(0, 0, 0);
+  body.setLinearVelocity(zero);
+  body.setAngularVelocity(zero);
+  body.clearForces();
+  body.activate(true);
+}
+
+// Swing a rope's rest pose, from its rail to the displaced ball top, at rest
+function displaceRope(rope, rest, pivot, angle) {
+  const physics = getPhysics();
+  const nodes = rope.get_m_nodes();
+  const zero = new physics.btVector3(0, 0, 0);
+  
+  for (let i = 0; i < nodes.size(); i++) {
+    const position = rotateAboutPivot(pivot, rest[i].x, rest[i].y, angle);
+    const node = nodes.at(i);
+    const point = new physics.btVector3(position.x, position.y, rest[i].z);
+    node.set_m_x(point);
+    node.set_m_q(point);
+    node.set_m_v(zero);
+  }
+  rope.activate(true);
+}
+
+// The given ball and every ball hanging below it
+function getHangingBalls(description, index) {
+  const children = description.balls
+    .map((ball, i) => (ball.parent === index ? i : -1))
+    .filter(i => i >= 0);
+  return [index, ...children.flatMap(child => getHangingBalls(description, child))];
+}
+
+// Move the given balls (and their ropes) to angleDeg on their arcs and zero their velocities.
+// angleDeg is one angle for all of them or one per ball. Positive angles raise the balls outward,
+// away from the middle of the cradle. Balls hanging from a displaced ball are swung along with it
+// about its pivot, as one straight pendulum.
+export function displaceBalls(description, ballIndices, angleDeg) {
+  const physics = getPhysics();
+  if (!physics || !description) {
+    console.error("Physics not initialized");
+    return false;
+  }
+  
+  const ballBodies = getBallBodies();
+  const angles = ballIndices.map((_, i) => (Array.isArray(angleDeg) ? angleDeg[i] : angleDeg));
+  const indices = ballIndices.filter(index => {
+    const valid = Number.isInteger(index) && index >= 0 && index < ballBodies.length;
+    if (!valid) {
+      console.error("Invalid ball index:", index);
+    }
+    return valid;
+  });
+  if (indices.length === 0) return false;
+  
+  // Swing the group together, to the side it sits on
+  const meanX = indices.reduce((sum, index) => sum + description.balls[index].position.x, 0) / indices.length;
+  const side = meanX > 0 ? 1 : -1;
+  
+  // Ropes are created one per described string, only map them when none failed
+  const ropes = getSoftBodies();
+  const hasRopes = ropes.length === description.strings.length;
+  
+  // A ball below another displaced ball goes with that one
+  const displaced = new Set(indices);
+  const hasDisplacedAncestor = index => {
+    for (let parent = description.balls[index].parent; parent !== undefined; parent = description.balls[parent].parent) {
+      if (displaced.has(parent)) return true;
+    }
+    return false;
+  };
+  
+  ballIndices.forEach((index, i) => {
+    const ball = description.balls[index];
+    if (!displaced.has(index) || hasDisplacedAncestor(index)) return;
+    
+    const angle = side * angles[i] * Math.PI / 180;
+    getHangingBalls(description, index).forEach(member => {
+      displaceBall(ballBodies[member], restBalls[member], ball.pivot, angle);
+      if (hasRopes) {
+        description.strings.forEach((string, r) => {
+          if (string.ball === member) {
+            displaceRope(ropes[r], restRopes[r], ball.pivot, angle);
+          }
+        });
+      }
+      displaceRigidString(member, ball.pivot, angle);
+    });
+  });
+  
+  return true;
+}
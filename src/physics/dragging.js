@@ -0,0 +1,102 @@
+// dragging.js - Hold balls with kinematic bodies and point-to-point constraints while they are pulled back
+import { getPhysics, getPhysicsWorld } from './core.js';
+import { getBallBodies } from './rigidBodies.js';
+
+const CF_NO_CONTACT_RESPONSE = 4;
+const CF_KINEMATIC_OBJECT = 2;
+const DISABLE_DEACTIVATION = 4;
+
+// Grabbed ball index -> { body, constraint }
+const grabs = new Map();
+
+// Reused for every handle move, Ammo objects aren't garbage collected
+let handleTransform = null;
+let handleOrigin = null;
+
+// Move a kinematic body, Bullet reads kinematic transforms from the motion state
+function setKinematicPosition(body, position) {
+  if (!handleTransform) {
+    const physics = getPhysics();
+    handleTransform = new physics.btTransform();
+    handleOrigin = new physics.btVector3(0, 0, 0);
+  }
+  handleTransform.setIdentity();
+  handleOrigin.setValue(position.x, position.y, position.z);
+  handleTransform.setOrigin(handleOrigin);
+  body.getMotionState().setWorldTransform(handleTransform);
+  body.setWorldTransform(handleTransform);
+}
+
+// Attach a ball to a kinematic handle at the target position
+export function grabBall(ballIndex, target) {
+  const physics = getPhysics();
+  const physicsWorld = getPhysicsWorld();
+  const ballBody = getBallBodies()[ballIndex];
+  
+  if (!physics || !physicsWorld || !ballBody) {
+    console.error("Cannot grab ball:", ballIndex);
+    return;
+  }
+  
+  if (grabs.has(ballIndex)) {
+    releaseBall(ballIndex);
+  }
+  
+  // Create a small kinematic handle that doesn't collide with anything
+  const shape = new physics.btSphereShape(0.05);
+  const transform = new physics.btTransform();
+  transform.setIdentity();
+  transform.setOrigin(new physics.btVector3(target.x, target.y, target.z));
+  const motionState = new physics.btDefaultMotionState(transform);
+  const rbInfo = new physics.btRigidBodyConstructionInfo(0, motionState, shape, new physics.btVector3(0, 0, 0));
+  const body = new physics.btRigidBody(rbInfo);
+  body.setCollisionFlags(body.getCollisionFlags() | CF_KINEMATIC_OBJECT | CF_NO_CONTACT_RESPONSE);
+  body.setActivationState(DISABLE_DEACTIVATION);
+  physicsWorld.addRigidBody(body);
+  
+  // Pin the ball's centre to the handle
+  const constraint = new physics.btPoint2PointConstraint(
+    ballBody,
+    body,
+    new physics.btVector3(0, 0, 0),
+    new physics.btVector3(0, 0, 0)
+  );
+  
+  // Lower tau for a softer, less jittery pull
+  if (constraint.get_m_setting) {
+    constraint.get_m_setting().set_m_tau(0.3);
+  }
+  physicsWorld.addConstraint(constraint, true);
+  
+  ballBody.activate(true);
+  grabs.set(ballIndex, { body, constraint });
+}
+
+// Move the handle of a grabbed ball
+export function moveGrabbedBall(ballIndex, target) {
+  const grab = grabs.get(ballIndex);
+  if (!grab) return;
+  
+  setKinematicPosition(grab.body, target);
+  getBallBodies()[ballIndex]?.activate(true);
+}
+
+// Let go of a ball, it keeps whatever velocity the constraint gave it
+export function releaseBall(ballIndex) {
+  const grab = grabs.get(ballIndex);
+  if (!grab) return;
+  
+  const physicsWorld = getPhysicsWorld();
+  physicsWorld.removeConstraint(grab.constraint);
+  physicsWorld.removeRigidBody(grab.body);
+  grabs.delete(ballIndex);
+}
+
+export function releaseAllBalls() {
+  Array.from(grabs.keys()).forEach(releaseBall);
+}
+
+// Indices of the balls currently held
+export function getGrabbedBallIndices() {
+  return Array.from(grabs.keys());
+}
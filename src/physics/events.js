@@ -0,0 +1,24 @@
+// events.js - Minimal event emitter shared by the physics core and the main-thread facade
+
+// Create an emitter for a fixed set of event types
+export function createEventEmitter(types) {
+  const listeners = Object.fromEntries(types.map(type => [type, new Set()]));
+  
+  return {
+    // Subscribe to an event type, returns an unsubscribe function
+    on(type, listener) {
+      listeners[type].add(listener);
+      return () => listeners[type].delete(listener);
+    },
+    
+    emit(type, event) {
+      listeners[type].forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Error in ${type} listener:`, error);
+        }
+      });
+    }
+  };
+}
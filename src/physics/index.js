@@ -1,37 +1,157 @@
-import { initPhysics, stepPhysics, clearPhysicsWorld } from './core.js';
-import { createPhysicsBodies, applyImpulse, syncPhysicsObjects } from './rigidBodies.js';
-import { createStringPhysics, updateSoftBodyStrings, clearSoftBodies } from './softBodies.js';
 import { physicsConfig } from '../config/physics.js';
+import { sceneConfig } from '../config/scene.js';
+import { createEventEmitter } from './events.js';
+import { syncPhysicsObjects, updateSoftBodyStrings } from './sync.js';
+import { createTelemetrySeries } from './telemetrySeries.js';
+import { createRunRecording } from './recording.js';
+
+// The Ammo.js world lives in a worker, this module is the main-thread facade
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
 
 let initialized = false;
-let physicsBodies = null;
-let stringPhysics = null;
+let softBodySupport = false;
+let stringType = null;
 
-// Initialize physics system
-export async function initPhysicsSystem(cradle) {
-  try {
-    // Initialize Ammo.js physics
-    const result = await initPhysics();
-    if (!result) {
-      throw new Error("Failed to initialize physics engine");
-    }
-    
-    const { physics, physicsWorld, hasSoftBodySupport } = result;
+// Frame timing state
+const MAX_FRAME_TIME = 0.25; // Ignore longer gaps (tab switches, pauses) to avoid a spiral of death
+let lastFrameTime = null;
+let pendingElapsed = 0;
+let stepInFlight = false;
+let latestFrame = null;
+
+// Collision event subscriptions for audio, HUD and analytics layers
+const contactEvents = createEventEmitter(['begin', 'persist', 'end']);
+
+export function onContactBegin(listener) {
+  return contactEvents.on('begin', listener);
+}
+
+export function onContactPersist(listener) {
+  return contactEvents.on('persist', listener);
+}
+
+export function onContactEnd(listener) {
+  return contactEvents.on('end', listener);
+}
+
+// Energy and momentum telemetry
+const telemetry = createTelemetrySeries(physicsConfig.telemetry.historyLength);
+const telemetryEvents = createEventEmitter(['sample', 'drift']);
+let driftFlagged = false;
+
+// Time series of telemetry samples for the current run
+export function getTelemetry() {
+  return telemetry;
+}
+
+export function onTelemetrySample(listener) {
+  return telemetryEvents.on('sample', listener);
+}
+
+// Called with the first sample whose energy drift exceeds physicsConfig.telemetry.driftThreshold
+export function onEnergyDrift(listener) {
+  return telemetryEvents.on('drift', listener);
+}
+
+// Step-by-step recording of the current run for replay
+const recording = createRunRecording(physicsConfig.recording.maxSteps);
+let recordingEnabled = false;
+
+export function getRecording() {
+  return recording;
+}
+
+export function isRecording() {
+  return recordingEnabled;
+}
+
+// Start a new recording, replacing the previous one
+export function startRecording() {
+  if (!initialized) return;
+  recording.clear();
+  recordingEnabled = true;
+  request('record', { enabled: true })
+    .catch(error => console.error("Error starting recording:", error));
+}
+
+// Stop recording, the recorded steps are kept for replay
+export function stopRecording() {
+  if (!initialized || !recordingEnabled) return;
+  recordingEnabled = false;
+  request('record', { enabled: false })
+    .catch(error => console.error("Error stopping recording:", error));
+}
+
+// Create the physics worker on first use
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
     
-    // Create physics bodies only if cradle is provided
-    if (cradle) {
-      // Create rigid bodies first
-      physicsBodies = createPhysicsBodies(cradle);
-      if (!physicsBodies) {
-        throw new Error("Failed to create rigid bodies");
-      }
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.id);
+      if (!request) return;
       
-      // Create soft body strings if supported
-      if (hasSoftBodySupport && physicsConfig.softBody.enabled) {
-        stringPhysics = createStringPhysics(cradle);
+      pendingRequests.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
       }
-    }
+    };
+    
+    // A worker that failed to load or crashed answers nothing, start over with a new one
+    worker.onerror = (error) => {
+      console.error("Physics worker error:", error.message);
+      worker.terminate();
+      worker = null;
+      failPendingRequests(`Physics worker failed: ${error.message || 'unknown error'}`);
+    };
+    
+    // A reply that can't be deserialised can't be matched to its request either
+    worker.onmessageerror = () => {
+      console.error("Physics worker sent a message that could not be read");
+      failPendingRequests("Physics worker sent a message that could not be read");
+    };
+  }
+  return worker;
+}
+
+// Reject every request still waiting for the worker, the world's state is unknown after that
+function failPendingRequests(message) {
+  initialized = false;
+  latestFrame = null;
+  pendingRequests.forEach(request => request.reject(new Error(message)));
+  pendingRequests.clear();
+}
+
+// Send a request to the physics worker and resolve with its result
+function request(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, type, payload });
+  });
+}
+
+// Initialize physics system
+export async function initPhysicsSystem(cradle) {
+  try {
+    const result = await request('init', {
+      description: cradle ? cradle.userData.description : null,
+      config: physicsConfig
+    });
     
+    softBodySupport = result.hasSoftBodySupport;
+    stringType = result.stringType;
+    lastFrameTime = null;
+    pendingElapsed = 0;
+    latestFrame = null;
+    telemetry.clear();
+    driftFlagged = false;
+    recording.clear();
+    recordingEnabled = false;
     initialized = true;
     return true;
   } catch (error) {
@@ -40,60 +160,181 @@ export async function initPhysicsSystem(cradle) {
   }
 }
 
-// Update physics simulation
-export function updatePhysics(cradle, deltaTime = 1/60) {
+// Send the current physicsConfig to the worker, rope settings apply to the running ropes
+export function updatePhysicsConfig() {
+  request('configure', { config: physicsConfig })
+    .catch(error => console.error("Error updating physics config:", error));
+}
+
+// Whether the worker's Ammo.js build supports soft bodies
+export function hasSoftBodySupport() {
+  return softBodySupport;
+}
+
+// String model the worker built: 'softBody', 'chain', 'hinge', or null without strings
+export function getStringType() {
+  return stringType;
+}
+
+// Vectors (including THREE.Vector3) are sent to the worker as plain objects
+function toPlainVector(vector) {
+  return { x: vector.x || 0, y: vector.y || 0, z: vector.z || 0 };
+}
+
+// Forward contact events reported with a frame to main-thread listeners
+function dispatchContacts(contacts) {
+  contacts.forEach(({ type, event }) => contactEvents.emit(type, event));
+}
+
+// Append telemetry samples to the series and report when drift starts
+function dispatchTelemetry(samples) {
+  samples.forEach(sample => {
+    telemetry.push(sample);
+    telemetryEvents.emit('sample', sample);
+    
+    if (sample.driftExceeded && !driftFlagged) {
+      telemetryEvents.emit('drift', sample);
+    }
+    driftFlagged = sample.driftExceeded;
+  });
+}
+
+// Forget the last frame time, call when updatePhysics stops being called (pause, replay) so the
+// first frame after it doesn't simulate the whole gap at once
+export function resetFrameClock() {
+  lastFrameTime = null;
+  pendingElapsed = 0;
+}
+
+// Update physics simulation with measured frame time (ms) and sync the latest frame to the meshes
+export function updatePhysics(cradle, frameTime = performance.now()) {
   if (!initialized) return;
   
-  try {
-    // Step physics simulation
-    stepPhysics(deltaTime);
+  if (lastFrameTime === null) {
+    lastFrameTime = frameTime;
+  }
+  
+  // Scale real elapsed time by the animation speed
+  pendingElapsed += Math.min((frameTime - lastFrameTime) / 1000, MAX_FRAME_TIME) * sceneConfig.animation.speed;
+  lastFrameTime = frameTime;
+  
+  // Keep a single step in flight so a slow worker cannot build up a queue
+  if (!stepInFlight) {
+    stepInFlight = true;
+    const elapsed = pendingElapsed;
+    pendingElapsed = 0;
     
-    // Sync visual objects with physics
-    if (cradle) {
-      // Update rigid bodies
-      syncPhysicsObjects(cradle);
-      
-      // Update soft body strings if they exist
-      if (stringPhysics) {
-        updateSoftBodyStrings(cradle);
-      }
-    }
-  } catch (error) {
-    console.error("Error updating physics:", error);
+    request('step', { elapsed })
+      .then(frame => {
+        if (!initialized || !frame) return;
+        latestFrame = frame;
+        dispatchContacts(frame.contacts);
+        dispatchTelemetry(frame.telemetry);
+        if (recordingEnabled) {
+          recording.push(frame.steps, frame.ropeNodeCounts);
+        }
+      })
+      .catch(error => console.error("Error updating physics:", error))
+      .finally(() => {
+        stepInFlight = false;
+      });
+  }
+  
+  // Sync visual objects with the most recent physics frame
+  if (cradle && latestFrame) {
+    syncPhysicsObjects(cradle, latestFrame);
+    updateSoftBodyStrings(cradle, latestFrame);
   }
 }
 
 // Apply impulse to a ball
 export function applyBallImpulse(ballIndex, impulse) {
   if (!initialized) return;
-  try {
-    applyImpulse(ballIndex, impulse);
-  } catch (error) {
-    console.error("Error applying impulse:", error);
-  }
+  request('impulse', { ballIndex, impulse: toPlainVector(impulse) })
+    .catch(error => console.error("Error applying impulse:", error));
+}
+
+// Raise the given balls to angleDeg on their arcs and release them from rest, e.g.
+// setInitialDisplacement({ balls: [0, 1], angleDeg: 30 }). angleDeg can also hold one angle per
+// ball. Resolves to true on success.
+export function setInitialDisplacement({ balls = [], angleDeg = 0 } = {}) {
+  if (!initialized) return Promise.resolve(false);
+  return request('displace', { balls, angleDeg })
+    .catch(error => {
+      console.error("Error displacing balls:", error);
+      return false;
+    });
+}
+
+// Capture the exact state mid-swing, resolves to a JSON-serialisable snapshot (null on failure)
+export function snapshotWorld() {
+  if (!initialized) return Promise.resolve(null);
+  return request('snapshot')
+    .catch(error => {
+      console.error("Error taking snapshot:", error);
+      return null;
+    });
+}
+
+// Resume from a snapshot taken of the same cradle, resolves to true on success
+export function restoreWorld(snapshot) {
+  if (!initialized) return Promise.resolve(false);
+  return request('restore', { snapshot })
+    .then(restored => {
+      // Simulated time jumps to the snapshot's, start a fresh series. The recording is cut too, its
+      // steps have to go forward in time for seeking, recording carries on from the snapshot.
+      if (restored) {
+        telemetry.clear();
+        recording.clear();
+      }
+      return restored;
+    })
+    .catch(error => {
+      console.error("Error restoring snapshot:", error);
+      return false;
+    });
+}
+
+// Rope anchoring status: per rope, the frame and ball anchors' separation (m) and estimated force (N)
+export function getAnchorDiagnostics() {
+  if (!initialized) return Promise.resolve([]);
+  return request('anchors')
+    .catch(error => {
+      console.error("Error reading anchor diagnostics:", error);
+      return [];
+    });
+}
+
+// Hold a ball at a world position until it is released
+export function grabBall(ballIndex, target) {
+  if (!initialized) return;
+  request('grab', { ballIndex, target: toPlainVector(target) })
+    .catch(error => console.error("Error grabbing ball:", error));
+}
+
+// Move a grabbed ball towards a world position
+export function dragBall(ballIndex, target) {
+  if (!initialized) return;
+  request('drag', { ballIndex, target: toPlainVector(target) })
+    .catch(error => console.error("Error dragging ball:", error));
+}
+
+export function releaseBall(ballIndex) {
+  if (!initialized) return;
+  request('release', { ballIndex })
+    .catch(error => console.error("Error releasing ball:", error));
 }
 
 // Clean up physics system
 export function cleanupPhysics() {
   if (!initialized) return;
-  try {
-    // Clear soft bodies first
-    if (stringPhysics) {
-      clearSoftBodies();
-      stringPhysics = null;
-    }
-    
-    // Clear rigid bodies and world
-    clearPhysicsWorld();
-    initialized = false;
-    physicsBodies = null;
-  } catch (error) {
-    console.error("Error cleaning up physics:", error);
-  }
+  initialized = false;
+  latestFrame = null;
+  request('cleanup').catch(error => console.error("Error cleaning up physics:", error));
 }
 
 // Restart physics simulation
 export function restartPhysics(cradle) {
   cleanupPhysics();
   return initPhysicsSystem(cradle);
-} 
\ No newline at end of file
+}
@@ -0,0 +1,42 @@
+// protocol.js - Layout of the data exchanged between the physics worker and the main thread
+//
+// Every main-thread message is a request { id, type, payload } and the worker answers with
+// { id, result } or { id, error }. Request types:
+//   init      { description, config } -> { hasSoftBodySupport, stringType }
+//   configure { config }              -> undefined   merge physicsConfig, re-applies rope settings live
+//   step      { elapsed }             -> frame
+//   impulse   { ballIndex, impulse }  -> undefined
+//   displace  { balls, angleDeg }     -> boolean     raise balls on their arcs and release them at rest,
+//                                                    angleDeg is one angle or one per ball
+//   snapshot  {}                      -> snapshot    see below, null before init
+//   restore   { snapshot }            -> boolean     errors if the snapshot doesn't fit the world
+//   record    { enabled }             -> undefined   include per-step states in frames
+//   anchors   {}                      -> [{ frame, ball }] rope anchor separation and estimated force
+//   grab      { ballIndex, target }   -> undefined   attach a ball to a kinematic handle at target
+//   drag      { ballIndex, target }   -> undefined   move the handle of a grabbed ball
+//   release   { ballIndex }           -> undefined
+//   cleanup   {}                      -> undefined
+//
+// A snapshot is plain JSON: { time, balls: [{ position, quaternion, linearVelocity, angularVelocity }],
+// ropes: [{ positions, velocities }], segments: [...like balls] } with soft body rope node m_x / m_v
+// flattened to xyz triples and segments holding the bodies of rigid chain strings.
+//
+// A frame carries packed Float32Arrays that are transferred rather than copied:
+//   time                   simulated seconds since init
+//   balls / previousBalls  BALL_TRANSFORM_STRIDE floats per ball (position xyz, quaternion xyzw)
+//   ropes                  ROPE_NODE_STRIDE floats per rope node, one rope per description string
+//                          concatenated in order, two per ball with bifilar suspension
+//                          (rigid strings report their joints, or both ends for hinges)
+//   ropeNodeCounts         number of nodes in each rope
+//   reference /            REFERENCE_BALL_STRIDE floats per ball (centre xyz) of the ideal cradle
+//   previousReference      model in reference.js, after and before the last step (empty for linked balls
+//                          or springs)
+//   alpha                  interpolation factor between previousBalls and balls (and the reference)
+//   contacts               [{ type: 'begin' | 'persist' | 'end', event }] since the last frame
+//   telemetry              energy and momentum samples for every step since the last frame
+//   steps                  while recording, [{ time, balls, ropes, reference, contacts }] for every step since
+//                          the last frame (packed like above, contacts without 'persist'), else []
+
+export const BALL_TRANSFORM_STRIDE = 7;
+export const ROPE_NODE_STRIDE = 3;
+export const REFERENCE_BALL_STRIDE = 3;
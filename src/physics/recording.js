@@ -0,0 +1,91 @@
+// recording.js - Bounded buffer of recorded simulation steps on the main thread, for replay
+
+// Create a recording that keeps the most recent `capacity` steps
+export function createRunRecording(capacity) {
+  let steps = [];
+  let ropeNodeCounts = [];
+  let contacts = []; // Contacts of the retained steps with their step time
+  
+  // Index of the last step at or before time, -1 if time is before the first step
+  function findStep(time) {
+    let low = 0;
+    let high = steps.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (steps[mid].time <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+  
+  return {
+    // Append steps from a frame, rope layout is the same for every step of a run
+    push(newSteps, nodeCounts) {
+      if (newSteps.length === 0) return;
+      steps.push(...newSteps);
+      ropeNodeCounts = nodeCounts;
+      newSteps.forEach(step => {
+        step.contacts.forEach(contact => contacts.push({ time: step.time, ...contact }));
+      });
+      
+      if (steps.length > capacity) {
+        steps.splice(0, steps.length - capacity);
+        const startTime = steps[0].time;
+        contacts = contacts.filter(contact => contact.time >= startTime);
+      }
+    },
+    
+    isEmpty() {
+      return steps.length === 0;
+    },
+    
+    getStartTime() {
+      return steps.length > 0 ? steps[0].time : 0;
+    },
+    
+    getEndTime() {
+      return steps.length > 0 ? steps[steps.length - 1].time : 0;
+    },
+    
+    // Recorded contacts with the time of their step, e.g. for timeline markers
+    getContacts() {
+      return contacts;
+    },
+    
+    // A frame in the worker's format (see protocol.js) at any time within the recording,
+    // interpolating ball transforms between the steps around it
+    getFrameAt(time) {
+      if (steps.length === 0) return null;
+      
+      const index = Math.min(Math.max(findStep(time), 0), steps.length - 1);
+      const previous = steps[index];
+      const next = steps[Math.min(index + 1, steps.length - 1)];
+      const span = next.time - previous.time;
+      const alpha = span > 0 ? Math.min(Math.max((time - previous.time) / span, 0), 1) : 1;
+      
+      return {
+        time,
+        alpha,
+        balls: next.balls,
+        previousBalls: previous.balls,
+        ropes: alpha < 0.5 ? previous.ropes : next.ropes,
+        ropeNodeCounts,
+        reference: next.reference,
+        previousReference: previous.reference,
+        contacts: [],
+        telemetry: []
+      };
+    },
+    
+    clear() {
+      steps = [];
+      ropeNodeCounts = [];
+      contacts = [];
+    }
+  };
+}
@@ -0,0 +1,159 @@
+// reference.js - Ideal Newton's cradle in plain JS, stepped in lockstep with the Ammo world
+// Every ball is a rigid, undamped pendulum swinging in the x-y plane. Touching balls collide
+// instantaneously along their line of centres, impulses are propagated through the row until
+// no pair is still closing in. Bobs of any shape collide as spheres of their radius.
+// Linked balls (chaotic pendulums), spring-coupled pendulums and the Foucault pendulum have no ideal
+// cradle to follow, the model stays empty for them.
+import { physicsConfig } from '../config/physics.js';
+import { hasIdealCradle } from '../layout.js';
+import { BALL_TRANSFORM_STRIDE, REFERENCE_BALL_STRIDE } from './protocol.js';
+import { getBobMass, getBobInertia } from './bobShapes.js';
+
+// Balls closer than this beyond touching count as in contact, so a resting row passes impulses on
+const CONTACT_TOLERANCE = 1e-3;
+
+// Upper bound on sweeps through the row when resolving a collision
+const MAX_COLLISION_SWEEPS = 100;
+
+// Per ball: { pivot, arm, radius, mass, inertia, angle, angularVelocity }
+let pendulums = [];
+
+// Ball positions before the most recent step, used for render interpolation
+let previousPositions = new Float32Array(0);
+
+// Build a pendulum at rest for every described ball
+export function resetReference(description) {
+  const balls = description && hasIdealCradle(description) ? description.balls : [];
+  pendulums = balls.map(ball => {
+    const arm = ball.pivot.y - ball.position.y;
+    const mass = getBobMass(ball);
+    return {
+      pivot: ball.pivot,
+      arm,
+      radius: ball.radius,
+      mass,
+      // The bob turns with its arm, about the pivot
+      inertia: mass * arm * arm + getBobInertia(ball),
+      angle: 0,
+      angularVelocity: 0
+    };
+  });
+  previousPositions = getReferencePositions();
+}
+
+// Take over the angle and angular velocity of the given balls (all by default) from the world's
+// packed ball transforms and velocities (3 floats per ball)
+export function setReferenceState(transforms, velocities, indices = pendulums.map((_, i) => i)) {
+  indices.forEach(i => {
+    const pendulum = pendulums[i];
+    if (!pendulum) return;
+    
+    const dx = transforms[i * BALL_TRANSFORM_STRIDE] - pendulum.pivot.x;
+    const dy = transforms[i * BALL_TRANSFORM_STRIDE + 1] - pendulum.pivot.y;
+    const armLengthSq = dx * dx + dy * dy;
+    pendulum.angle = Math.atan2(dx, -dy);
+    pendulum.angularVelocity = armLengthSq > 0 ?
+      (dx * velocities[i * 3 + 1] - dy * velocities[i * 3]) / armLengthSq :
+      0;
+  });
+}
+
+// Angular acceleration of a pendulum at angle under gravity
+function angularAcceleration(pendulum, angle, gravity) {
+  return -pendulum.mass * gravity * pendulum.arm * Math.sin(angle) / pendulum.inertia;
+}
+
+// Ball centre and velocity of a pendulum
+function getBallState(pendulum) {
+  const { pivot, arm, angle, angularVelocity } = pendulum;
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  return {
+    x: pivot.x + arm * sin,
+    y: pivot.y - arm * cos,
+    vx: arm * angularVelocity * cos,
+    vy: arm * angularVelocity * sin,
+    // Direction the ball moves in for a positive angular velocity
+    tangent: { x: cos, y: sin }
+  };
+}
+
+// Apply an impulse along the line of centres to a touching pair that is closing in,
+// returns whether it did
+function collidePair(left, right, restitution) {
+  const a = getBallState(left);
+  const b = getBallState(right);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  if (distance === 0 || distance > left.radius + right.radius + CONTACT_TOLERANCE) return false;
+  
+  const nx = dx / distance;
+  const ny = dy / distance;
+  const closingSpeed = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+  if (closingSpeed >= 0) return false;
+  
+  // An impulse J along n turns each pendulum by J * arm * (tangent . n) / inertia
+  const leftLever = left.arm * (a.tangent.x * nx + a.tangent.y * ny);
+  const rightLever = right.arm * (b.tangent.x * nx + b.tangent.y * ny);
+  const effectiveInverseMass = leftLever * leftLever / left.inertia + rightLever * rightLever / right.inertia;
+  if (effectiveInverseMass === 0) return false;
+  
+  const impulse = -(1 + restitution) * closingSpeed / effectiveInverseMass;
+  left.angularVelocity -= impulse * leftLever / left.inertia;
+  right.angularVelocity += impulse * rightLever / right.inertia;
+  return true;
+}
+
+// Resolve collisions between neighbours, sweeping the row in alternating directions
+function resolveCollisions(restitution) {
+  for (let sweep = 0; sweep < MAX_COLLISION_SWEEPS; sweep++) {
+    let collided = false;
+    const forward = sweep % 2 === 0;
+    for (let k = 0; k < pendulums.length - 1; k++) {
+      const i = forward ? k : pendulums.length - 2 - k;
+      collided = collidePair(pendulums[i], pendulums[i + 1], restitution) || collided;
+    }
+    if (!collided) return;
+  }
+}
+
+// Advance every pendulum by timeStep (velocity Verlet) and resolve the collisions this causes
+export function stepReference(timeStep) {
+  const gravity = -physicsConfig.gravityConstant;
+  
+  pendulums.forEach(pendulum => {
+    const acceleration = angularAcceleration(pendulum, pendulum.angle, gravity);
+    pendulum.angle += pendulum.angularVelocity * timeStep + 0.5 * acceleration * timeStep * timeStep;
+    const nextAcceleration = angularAcceleration(pendulum, pendulum.angle, gravity);
+    pendulum.angularVelocity += 0.5 * (acceleration + nextAcceleration) * timeStep;
+  });
+  
+  resolveCollisions(physicsConfig.reference.restitution);
+}
+
+// Angle and angular velocity of every reference pendulum
+export function getReferenceBalls() {
+  return pendulums.map(({ angle, angularVelocity }) => ({ angle, angularVelocity }));
+}
+
+// Pack the reference ball centres into a Float32Array
+export function getReferencePositions() {
+  const positions = new Float32Array(pendulums.length * REFERENCE_BALL_STRIDE);
+  pendulums.forEach((pendulum, i) => {
+    const { x, y } = getBallState(pendulum);
+    positions.set([x, y, pendulum.pivot.z], i * REFERENCE_BALL_STRIDE);
+  });
+  return positions;
+}
+
+// Remember ball positions before a step so rendering can interpolate between steps
+export function storePreviousReference() {
+  previousPositions = getReferencePositions();
+}
+
+export function getPreviousReferencePositions() {
+  return previousPositions.length === pendulums.length * REFERENCE_BALL_STRIDE ?
+    previousPositions.slice() :
+    getReferencePositions();
+}
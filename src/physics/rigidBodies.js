@@ -1,13 +1,19 @@
-import * as THREE from 'three';
-import { getPhysics, getPhysicsWorld } from './core.js';
+import { getPhysics, getPhysicsWorld, registerBodyName } from './core.js';
 import { physicsConfig } from '../config/physics.js';
+import { BALL_TRANSFORM_STRIDE } from './protocol.js';
+import { createBobShape, getBobMass } from './bobShapes.js';
 
 // Store rigid bodies
 let ballBodies = [];
+let ballProperties = []; // Mass and local inertia of each ball, Ammo doesn't expose them
 let frameBodies = [];
+const frameBodiesByName = new Map();
 
-// Create physics bodies for the cradle
-export function createPhysicsBodies(cradle) {
+// Ball transforms before the most recent step, used for render interpolation
+let previousTransforms = new Float32Array(0);
+
+// Create physics bodies from a plain cradle description ({ frames, balls, floor })
+export function createPhysicsBodies(description) {
   const physics = getPhysics();
   const physicsWorld = getPhysicsWorld();
   
@@ -22,13 +28,13 @@ export function createPhysicsBodies(cradle) {
   clearBodies();
   
   // Create frame bodies
-  createFrameBodies(cradle, physics, physicsWorld);
+  createFrameBodies(description.frames, physics, physicsWorld);
   
   // Create ball bodies
-  createBallBodies(cradle, physics, physicsWorld);
+  createBallBodies(description.balls, physics, physicsWorld);
   
   // Create floor body
-  createFloorBody(cradle, physics, physicsWorld);
+  createFloorBody(description.floor, physics, physicsWorld);
   
   console.debug(`Created physics bodies: ${ballBodies.length} balls, ${frameBodies.length} frame parts`);
   
@@ -39,10 +45,9 @@ export function createPhysicsBodies(cradle) {
 }
 
 // Create rigid body for the floor
-function createFloorBody(cradle, physics, physicsWorld) {
-  const floor = cradle.children.find(child => child.name === 'floor');
+function createFloorBody(floor, physics, physicsWorld) {
   if (!floor) {
-    console.error("Floor not found in cradle");
+    console.error("Floor not found in cradle description");
     return;
   }
   
@@ -74,8 +79,8 @@ function createFloorBody(cradle, physics, physicsWorld) {
   body.setFriction(0.8);
   body.setRestitution(0.3);
   
-  // Add name for collision logging
-  body.name = 'floor';
+  // Name the body for collision events
+  registerBodyName(body, 'floor');
   
   // Make it static
   body.setCollisionFlags(body.getCollisionFlags() | 1); // CF_STATIC_OBJECT
@@ -83,22 +88,18 @@ function createFloorBody(cradle, physics, physicsWorld) {
   // Add to physics world
   physicsWorld.addRigidBody(body);
   frameBodies.push(body);
-  
-  // Store physics body in userData
-  floor.userData.physicsBody = body;
+  frameBodiesByName.set('floor', body);
   
   console.debug("Floor physics body created and added to world");
 }
 
 // Create rigid bodies for the frame
-function createFrameBodies(cradle, physics, physicsWorld) {
-  const frameObjects = cradle.children.filter(child => child.name.startsWith('frame_'));
-  
+function createFrameBodies(frameObjects, physics, physicsWorld) {
   frameObjects.forEach((frame, index) => {
     const shape = new physics.btBoxShape(new physics.btVector3(
-      frame.geometry.parameters.width / 2,
-      frame.geometry.parameters.height / 2,
-      frame.geometry.parameters.depth / 2
+      frame.size.width / 2,
+      frame.size.height / 2,
+      frame.size.depth / 2
     ));
     
     const transform = new physics.btTransform();
@@ -127,11 +128,7 @@ function createFrameBodies(cradle, physics, physicsWorld) {
     
     // Debug frame body creation
     console.log(`Frame ${index} created:`, {
-      dimensions: {
-        width: frame.geometry.parameters.width,
-        height: frame.geometry.parameters.height,
-        depth: frame.geometry.parameters.depth
-      },
+      dimensions: frame.size,
       position: {
         x: frame.position.x,
         y: frame.position.y,
@@ -145,24 +142,21 @@ function createFrameBodies(cradle, physics, physicsWorld) {
       }
     });
     
-    // Add name for collision logging
-    body.name = `frame_${index}`;
+    // Name the body for collision events
+    registerBodyName(body, frame.name);
     
     // Add to physics world
     physicsWorld.addRigidBody(body);
     frameBodies.push(body);
-    
-    // Store physics body in userData
-    frame.userData.physicsBody = body;
+    frameBodiesByName.set(frame.name, body);
   });
 }
 
-// Create rigid bodies for the balls
-function createBallBodies(cradle, physics, physicsWorld) {
-  const ballObjects = cradle.children.filter(child => child.name.startsWith('ball_'));
-  
-  ballObjects.forEach((ball, index) => {
-    const shape = new physics.btSphereShape(ball.geometry.parameters.radius);
+// Create rigid bodies for the balls, per-ball overrides in the description win over physicsConfig.ball
+function createBallBodies(ballObjects, physics, physicsWorld) {
+  ballObjects.forEach((ball) => {
+    const mass = getBobMass(ball);
+    const shape = createBobShape(physics, ball);
     
     const transform = new physics.btTransform();
     transform.setIdentity();
@@ -174,10 +168,10 @@ function createBallBodies(cradle, physics, physicsWorld) {
     
     const motionState = new physics.btDefaultMotionState(transform);
     const localInertia = new physics.btVector3(0, 0, 0);
-    shape.calculateLocalInertia(physicsConfig.ball.mass, localInertia);
+    shape.calculateLocalInertia(mass, localInertia);
     
     const rbInfo = new physics.btRigidBodyConstructionInfo(
-      physicsConfig.ball.mass,
+      mass,
       motionState,
       shape,
       localInertia
@@ -185,28 +179,29 @@ function createBallBodies(cradle, physics, physicsWorld) {
     const body = new physics.btRigidBody(rbInfo);
     
     // Set friction and restitution
-    body.setFriction(physicsConfig.ball.friction);
-    body.setRestitution(physicsConfig.ball.restitution);
+    body.setFriction(ball.friction ?? physicsConfig.ball.friction);
+    body.setRestitution(ball.restitution ?? physicsConfig.ball.restitution);
     
     // Set damping
     body.setDamping(
-      physicsConfig.ball.linearDamping,
-      physicsConfig.ball.angularDamping
+      ball.linearDamping ?? physicsConfig.ball.linearDamping,
+      ball.angularDamping ?? physicsConfig.ball.angularDamping
     );
     
     // Ensure the body is active
     body.setActivationState(4); // DISABLE_DEACTIVATION
     body.activate(true);
     
-    // Add name for collision logging
-    body.name = `ball_${index}`;
+    // Name the body for collision events
+    registerBodyName(body, ball.name);
     
     // Add to physics world
     physicsWorld.addRigidBody(body);
     ballBodies.push(body);
-    
-    // Store physics body in userData
-    ball.userData.physicsBody = body;
+    ballProperties.push({
+      mass,
+      inertia: { x: localInertia.x(), y: localInertia.y(), z: localInertia.z() }
+    });
   });
 }
 
@@ -229,39 +224,75 @@ export function applyImpulse(ballIndex, impulse) {
     return;
   }
   
-  // Convert THREE.Vector3 to btVector3 if needed
-  const impulseVec = impulse instanceof THREE.Vector3 ?
-    new physics.btVector3(impulse.x, impulse.y, impulse.z) :
-    new physics.btVector3(impulse.x || 0, impulse.y || 0, impulse.z || 0);
+  const impulseVec = new physics.btVector3(impulse.x || 0, impulse.y || 0, impulse.z || 0);
   
   // Apply central impulse
   body.activate(true);
   body.applyCentralImpulse(impulseVec);
 }
 
-// Sync physics objects with visual objects
-export function syncPhysicsObjects(cradle) {
-  // Sync balls
-  const balls = cradle.children.filter(child => child.name.startsWith('ball_'));
+// Get the rigid bodies of all balls
+export function getBallBodies() {
+  return ballBodies;
+}
+
+// Get the mass and local inertia of all balls
+export function getBallProperties() {
+  return ballProperties;
+}
+
+// Get a frame (or floor) body by its scene name
+export function getFrameBody(name) {
+  return frameBodiesByName.get(name) || null;
+}
+
+// Body a described string hangs from: its parent ball, or the frame part it is tied to
+export function getStringAnchorBody(string) {
+  return string.parentBall !== undefined ? ballBodies[string.parentBall] || null : getFrameBody(string.frame);
+}
+
+// Pack ball positions and rotations into a Float32Array
+export function getBallTransforms() {
+  const transforms = new Float32Array(ballBodies.length * BALL_TRANSFORM_STRIDE);
   
-  for (let i = 0; i < balls.length && i < ballBodies.length; i++) {
-    const ball = balls[i];
-    const body = ballBodies[i];
-    
-    if (!ball || !body) continue;
-    
+  ballBodies.forEach((body, i) => {
     const transform = body.getWorldTransform();
     const origin = transform.getOrigin();
-    
-    ball.position.set(origin.x(), origin.y(), origin.z());
-    
     const rotation = transform.getRotation();
-    ball.quaternion.set(rotation.x(), rotation.y(), rotation.z(), rotation.w());
-  }
+    transforms.set([
+      origin.x(), origin.y(), origin.z(),
+      rotation.x(), rotation.y(), rotation.z(), rotation.w()
+    ], i * BALL_TRANSFORM_STRIDE);
+  });
+  
+  return transforms;
+}
+
+// Pack ball linear velocities into a Float32Array, 3 floats per ball
+export function getBallVelocities() {
+  const velocities = new Float32Array(ballBodies.length * 3);
+  
+  ballBodies.forEach((body, i) => {
+    const velocity = body.getLinearVelocity();
+    velocities.set([velocity.x(), velocity.y(), velocity.z()], i * 3);
+  });
+  
+  return velocities;
+}
+
+// Remember ball transforms before a step so rendering can interpolate between steps
+export function storePreviousTransforms() {
+  previousTransforms = getBallTransforms();
+}
+
+export function getPreviousBallTransforms() {
+  return previousTransforms.length === ballBodies.length * BALL_TRANSFORM_STRIDE ?
+    previousTransforms.slice() :
+    getBallTransforms();
 }
 
 // Clear all physics bodies
-function clearBodies() {
+export function clearBodies() {
   const physicsWorld = getPhysicsWorld();
   if (!physicsWorld) return;
   
@@ -272,6 +303,8 @@ function clearBodies() {
     }
   }
   ballBodies = [];
+  ballProperties = [];
+  previousTransforms = new Float32Array(0);
   
   // Remove frame bodies
   for (const body of frameBodies) {
@@ -280,14 +313,5 @@ function clearBodies() {
     }
   }
   frameBodies = [];
-  
-  // Clear userData references
-  const cradle = document.querySelector('#cradle');
-  if (cradle) {
-    cradle.children.forEach(child => {
-      if (child.userData.physicsBody) {
-        delete child.userData.physicsBody;
-      }
-    });
-  }
-} 
\ No newline at end of file
+  frameBodiesByName.clear();
+}
@@ -0,0 +1,253 @@
+// rigidStrings.js - Strings built from rigid constraints, for Ammo builds without soft bodies
+// 'chain': capsule segments joined by point-to-point constraints, from the frame to the ball top
+// 'hinge': a single hinge (or ball joint) between the frame and each ball, the string is drawn straight
+// Strings of linked balls hang from their parent ball instead of the frame.
+import * as THREE from 'three';
+import { getPhysics, getPhysicsWorld, registerBodyName } from './core.js';
+import { getStringAnchorBody, getBallBodies, getBallProperties } from './rigidBodies.js';
+import { physicsConfig } from '../config/physics.js';
+import { ROPE_NODE_STRIDE } from './protocol.js';
+
+const DISABLE_DEACTIVATION = 4;
+
+// The constraint solver can't hold a ball much heavier than the segments it hangs from,
+// lighter segments are made this fraction of the ball's mass
+const MIN_SEGMENT_MASS_RATIO = 1 / 40;
+
+// Per string: { ball, anchorBody, anchorOffset, ballBody, ballRadius, segments: [{ body, rest }], segmentLength, constraints }
+let strings = [];
+
+const localPoint = new THREE.Vector3();
+const rotation = new THREE.Quaternion();
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Position of a point given in a body's local frame
+function toWorld(body, x, y, z) {
+  const transform = body.getWorldTransform();
+  const origin = transform.getOrigin();
+  const q = transform.getRotation();
+  rotation.set(q.x(), q.y(), q.z(), q.w());
+  return localPoint.set(x, y, z).applyQuaternion(rotation).add(new THREE.Vector3(origin.x(), origin.y(), origin.z()));
+}
+
+function createSegmentBody(physics, physicsWorld, rest, length, segmentMass, name) {
+  const config = physicsConfig.string;
+  const radius = Math.min(config.radius, length / 2);
+  const { position, rotation: restRotation } = rest;
+  
+  // Capsule along its local y, its caps span the segment length
+  const shape = new physics.btCapsuleShape(radius, Math.max(length - 2 * radius, 0.001));
+  const transform = new physics.btTransform();
+  transform.setIdentity();
+  transform.setOrigin(new physics.btVector3(position.x, position.y, position.z));
+  transform.setRotation(new physics.btQuaternion(restRotation.x, restRotation.y, restRotation.z, restRotation.w));
+  
+  const motionState = new physics.btDefaultMotionState(transform);
+  const localInertia = new physics.btVector3(0, 0, 0);
+  shape.calculateLocalInertia(segmentMass, localInertia);
+  
+  const body = new physics.btRigidBody(new physics.btRigidBodyConstructionInfo(segmentMass, motionState, shape, localInertia));
+  body.setFriction(config.friction);
+  body.setRestitution(config.restitution);
+  body.setDamping(config.damping, config.damping);
+  body.setActivationState(DISABLE_DEACTIVATION);
+  
+  registerBodyName(body, name);
+  physicsWorld.addRigidBody(body);
+  return body;
+}
+
+function addConstraint(physicsWorld, constraint, constraints) {
+  // Linked bodies don't collide with each other
+  physicsWorld.addConstraint(constraint, true);
+  constraints.push(constraint);
+}
+
+// Chain of capsules from the string's rail point to the top of the ball, each capsule's
+// local y points back up the string
+function createChain(physics, physicsWorld, anchorBody, anchorPosition, ballBody, ball, string) {
+  const numSegments = Math.max(1, Math.round(physicsConfig.string.segments));
+  const ballMass = getBallProperties()[string.ball].mass;
+  const segmentMass = Math.max(physicsConfig.string.mass / numSegments, ballMass * MIN_SEGMENT_MASS_RATIO);
+  const start = new THREE.Vector3(string.start.x, string.start.y, string.start.z);
+  const down = new THREE.Vector3(string.end.x, string.end.y, string.end.z).sub(start);
+  const segmentLength = down.length() / numSegments;
+  down.normalize();
+  const restRotation = new THREE.Quaternion().setFromUnitVectors(UP, down.clone().negate());
+  const constraints = [];
+  const segments = [];
+  
+  for (let i = 0; i < numSegments; i++) {
+    const rest = {
+      position: start.clone().addScaledVector(down, (i + 0.5) * segmentLength),
+      rotation: restRotation
+    };
+    const body = createSegmentBody(physics, physicsWorld, rest, segmentLength, segmentMass, `${string.name}_${i}`);
+    segments.push({ body, rest });
+  }
+  
+  const halfLength = segmentLength / 2;
+  addConstraint(physicsWorld, new physics.btPoint2PointConstraint(
+    anchorBody,
+    segments[0].body,
+    new physics.btVector3(start.x - anchorPosition.x, start.y - anchorPosition.y, start.z - anchorPosition.z),
+    new physics.btVector3(0, halfLength, 0)
+  ), constraints);
+  
+  for (let i = 0; i < numSegments - 1; i++) {
+    addConstraint(physicsWorld, new physics.btPoint2PointConstraint(
+      segments[i].body,
+      segments[i + 1].body,
+      new physics.btVector3(0, -halfLength, 0),
+      new physics.btVector3(0, halfLength, 0)
+    ), constraints);
+  }
+  
+  addConstraint(physicsWorld, new physics.btPoint2PointConstraint(
+    segments[numSegments - 1].body,
+    ballBody,
+    new physics.btVector3(0, -halfLength, 0),
+    new physics.btVector3(string.end.x - ball.position.x, string.end.y - ball.position.y, string.end.z - ball.position.z)
+  ), constraints);
+  
+  return { segments, segmentLength, constraints };
+}
+
+// Single hinge about z through the ball's pivot on its anchor, the ball swings in the xy plane. A bifilar
+// pair already confines the ball to that plane, so only its first string gets the hinge. A ball that
+// swings in every direction (swing: 'spherical') gets a ball joint at its pivot instead.
+function createHinge(physics, physicsWorld, anchorBody, anchorPosition, ballBody, ball, string) {
+  const constraints = [];
+  const hasHinge = strings.some(existing => existing.ball === string.ball);
+  if (!hasHinge) {
+    const { pivot } = ball;
+    const pivotInAnchor = new physics.btVector3(pivot.x - anchorPosition.x, pivot.y - anchorPosition.y, pivot.z - anchorPosition.z);
+    const pivotInBall = new physics.btVector3(pivot.x - ball.position.x, pivot.y - ball.position.y, pivot.z - ball.position.z);
+    if (ball.swing === 'spherical') {
+      addConstraint(physicsWorld, new physics.btPoint2PointConstraint(anchorBody, ballBody, pivotInAnchor, pivotInBall), constraints);
+    } else {
+      const axis = new physics.btVector3(0, 0, 1);
+      addConstraint(physicsWorld, new physics.btHingeConstraint(
+        anchorBody,
+        ballBody,
+        pivotInAnchor,
+        pivotInBall,
+        axis,
+        axis,
+        false
+      ), constraints);
+    }
+  }
+  
+  return { segments: [], segmentLength: 0, constraints };
+}
+
+// Build a rigid string for every described string, stringMode is 'chain' or 'hinge'
+export function createRigidStrings(description, stringMode) {
+  const physics = getPhysics();
+  const physicsWorld = getPhysicsWorld();
+  const ballBodies = getBallBodies();
+  
+  if (!physics || !physicsWorld) {
+    console.error("Physics not initialized");
+    return null;
+  }
+  
+  clearRigidStrings();
+  
+  // Heavy balls on light segments need more solver iterations to keep chains from stretching
+  if (stringMode === 'chain') {
+    physicsWorld.getSolverInfo().set_m_numIterations(physicsConfig.string.solverIterations);
+  }
+  
+  const create = stringMode === 'hinge' ? createHinge : createChain;
+  for (const string of description.strings || []) {
+    const ball = description.balls[string.ball];
+    const anchor = string.parentBall !== undefined ?
+      description.balls[string.parentBall] :
+      description.frames.find(part => part.name === string.frame);
+    const anchorBody = getStringAnchorBody(string);
+    if (!ball || !anchor || !anchorBody) {
+      console.error(`Cannot create rigid string ${string.name} without its ball and the body it hangs from`);
+      clearRigidStrings();
+      return null;
+    }
+    
+    const ballBody = ballBodies[string.ball];
+    const built = create(physics, physicsWorld, anchorBody, anchor.position, ballBody, ball, string);
+    // Where the string leaves its anchor, in the anchor body's frame
+    const anchorOffset = {
+      x: string.start.x - anchor.position.x,
+      y: string.start.y - anchor.position.y,
+      z: string.start.z - anchor.position.z
+    };
+    strings.push({ ...built, ball: string.ball, anchorBody, anchorOffset, ballBody, ballRadius: ball.radius });
+  }
+  
+  console.log(`Created ${strings.length} rigid ${stringMode} strings`);
+  return { mode: stringMode, strings };
+}
+
+// Segment bodies of every chain in creation order
+export function getRigidStringBodies() {
+  return strings.flatMap(string => string.segments.map(segment => segment.body));
+}
+
+// Swing the chains of a ball to angle around pivot at rest, to follow the displaced ball
+export function displaceRigidString(ballIndex, pivot, angle) {
+  const physics = getPhysics();
+  const zero = new physics.btVector3(0, 0, 0);
+  const swing = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), angle);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  
+  strings.filter(string => string.ball === ballIndex).forEach(string => {
+    string.segments.forEach(({ body, rest }) => {
+      const dx = rest.position.x - pivot.x;
+      const dy = rest.position.y - pivot.y;
+      const turned = swing.clone().multiply(rest.rotation);
+      const transform = new physics.btTransform();
+      transform.setIdentity();
+      transform.setOrigin(new physics.btVector3(pivot.x + dx * cos - dy * sin, pivot.y + dx * sin + dy * cos, rest.position.z));
+      transform.setRotation(new physics.btQuaternion(turned.x, turned.y, turned.z, turned.w));
+      body.setWorldTransform(transform);
+      body.getMotionState().setWorldTransform(transform);
+      body.setLinearVelocity(zero);
+      body.setAngularVelocity(zero);
+    });
+  });
+}
+
+// Points along every string, packed like soft body rope nodes (see protocol.js)
+export function getRigidStringNodePositions() {
+  const points = strings.map(string => {
+    const ballTop = toWorld(string.ballBody, 0, string.ballRadius, 0).toArray();
+    if (string.segments.length === 0) {
+      const { x, y, z } = string.anchorOffset;
+      return [...toWorld(string.anchorBody, x, y, z).toArray(), ...ballTop];
+    }
+    
+    const halfLength = string.segmentLength / 2;
+    const joints = toWorld(string.segments[0].body, 0, halfLength, 0).toArray();
+    string.segments.forEach(({ body }) => joints.push(...toWorld(body, 0, -halfLength, 0).toArray()));
+    return joints;
+  });
+  
+  return {
+    positions: Float32Array.from(points.flat()),
+    nodeCounts: points.map(nodes => nodes.length / ROPE_NODE_STRIDE)
+  };
+}
+
+// Remove every string constraint and segment body
+export function clearRigidStrings() {
+  const physicsWorld = getPhysicsWorld();
+  if (physicsWorld) {
+    strings.forEach(string => {
+      string.constraints.forEach(constraint => physicsWorld.removeConstraint(constraint));
+      string.segments.forEach(({ body }) => physicsWorld.removeRigidBody(body));
+    });
+  }
+  
+  strings = [];
+}
@@ -0,0 +1,71 @@
+// rotatingFrame.js - Pseudo-forces of a lab fixed to the rotating Earth, for the Foucault pendulum
+// Scene axes are x east, y up and -z north. Only the balls feel the forces, the ropes are too light
+// to matter.
+import { getPhysics } from './core.js';
+import { getBallBodies, getBallProperties } from './rigidBodies.js';
+import { physicsConfig } from '../config/physics.js';
+
+// Rest position of every ball, the centrifugal force is measured from it
+let restPositions = [];
+
+// Reused force vector, applied every step
+let force = null;
+
+// Take the balls' current positions as their rest positions, call once the cradle has settled
+export function resetRotatingFrame(description) {
+  restPositions = description ? getBallBodies().map(body => {
+    const origin = body.getWorldTransform().getOrigin();
+    return { x: origin.x(), y: origin.y(), z: origin.z() };
+  }) : [];
+  force = null;
+}
+
+// Earth's angular velocity in scene axes at the configured latitude, scaled up for visibility
+export function getEarthAngularVelocity(config = physicsConfig.earthRotation) {
+  const rate = config.rate * config.scale;
+  const latitude = config.latitude * Math.PI / 180;
+  return { x: 0, y: rate * Math.sin(latitude), z: -rate * Math.cos(latitude) };
+}
+
+// a × b
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+// Apply the Coriolis force -2m Ω × v and the centrifugal force -m Ω × (Ω × r) to every ball for
+// the coming step. Gravity as measured in the lab, along the plumb line, already holds the
+// centrifugal force at the ball's rest position, so r is the ball's offset from it. Measuring from
+// the pivot instead would tilt the plumb line and pull resting balls off centre.
+export function applyRotatingFrameForces() {
+  const physics = getPhysics();
+  if (!force) {
+    force = new physics.btVector3(0, 0, 0);
+  }
+  const omega = getEarthAngularVelocity();
+  const properties = getBallProperties();
+  
+  getBallBodies().forEach((body, i) => {
+    const rest = restPositions[i];
+    if (!rest) return;
+    
+    const mass = properties[i].mass;
+    const velocity = body.getLinearVelocity();
+    const origin = body.getWorldTransform().getOrigin();
+    const v = { x: velocity.x(), y: velocity.y(), z: velocity.z() };
+    const r = { x: origin.x() - rest.x, y: origin.y() - rest.y, z: origin.z() - rest.z };
+    
+    const coriolis = cross(omega, v);
+    const centrifugal = cross(omega, cross(omega, r));
+    force.setValue(
+      -mass * (2 * coriolis.x + centrifugal.x),
+      -mass * (2 * coriolis.y + centrifugal.y),
+      -mass * (2 * coriolis.z + centrifugal.z)
+    );
+    body.applyCentralForce(force);
+    body.activate(true);
+  });
+}
@@ -0,0 +1,302 @@
+// simulation.js - Owns the Ammo.js world for the physics worker and the headless runner
+import { initPhysics, stepPhysics, clearPhysicsWorld, onContactBegin, onContactPersist, onContactEnd } from './core.js';
+import {
+  createPhysicsBodies,
+  clearBodies,
+  storePreviousTransforms,
+  getBallTransforms,
+  getBallVelocities,
+  getPreviousBallTransforms
+} from './rigidBodies.js';
+import {
+  createStringPhysics,
+  clearSoftBodies,
+  getRopeNodePositions,
+  setRopeDamping,
+  beginAnchorMeasurement,
+  measureAnchorForces
+} from './softBodies.js';
+import { resetTelemetry, recordTelemetrySample, takeTelemetrySamples, markEnergyBaseline } from './telemetry.js';
+import {
+  createRigidStrings,
+  clearRigidStrings,
+  getRigidStringNodePositions
+} from './rigidStrings.js';
+import {
+  resetReference,
+  setReferenceState,
+  stepReference,
+  storePreviousReference,
+  getReferencePositions,
+  getPreviousReferencePositions
+} from './reference.js';
+import { releaseBall, releaseAllBalls, getGrabbedBallIndices } from './dragging.js';
+import { displaceBalls, storeRestPose } from './displacement.js';
+import { resetRotatingFrame, applyRotatingFrameForces } from './rotatingFrame.js';
+import { createSprings, clearSprings } from './springs.js';
+import { captureSnapshot, checkSnapshot, applySnapshot } from './snapshot.js';
+import { physicsConfig } from '../config/physics.js';
+import { BALL_TRANSFORM_STRIDE } from './protocol.js';
+
+// The ropes have settled once no ball has moved further than this (m) per step for a while
+const SETTLED_MOVEMENT = 1e-7;
+const SETTLED_STEPS = 10;
+const MAX_SETTLING_STEPS = 2000;
+
+let initialized = false;
+let stringPhysics = null;
+let rigidStrings = null;
+let cradleDescription = null;
+
+// Fixed timestep state
+let accumulator = 0;
+let simulationTime = 0;
+
+// Per-step states recorded for replay since the last frame was taken
+let recording = false;
+let recordedSteps = [];
+
+// Contact events collected since the last frame was taken
+let pendingContacts = [];
+onContactBegin(event => pendingContacts.push({ type: 'begin', event }));
+onContactPersist(event => pendingContacts.push({ type: 'persist', event }));
+onContactEnd(event => pendingContacts.push({ type: 'end', event }));
+
+// Initialize the physics world with a ready Ammo.js instance and build the described cradle
+export async function initSimulation(ammo, description) {
+  const result = await initPhysics(ammo);
+  if (!result) {
+    throw new Error("Failed to initialize physics engine");
+  }
+  
+  // Create physics bodies only if a cradle is described
+  if (description) {
+    // Create rigid bodies first
+    if (!createPhysicsBodies(description)) {
+      throw new Error("Failed to create rigid bodies");
+    }
+    
+    // Create soft body strings if supported, rigid strings otherwise
+    const stringType = physicsConfig.string.type;
+    if (stringType === 'softBody' && result.hasSoftBodySupport) {
+      stringPhysics = createStringPhysics(description);
+    }
+    if (!stringPhysics) {
+      rigidStrings = createRigidStrings(description, stringType === 'hinge' ? 'hinge' : 'chain');
+    }
+    
+    // Springs between the bobs of coupled pendulums
+    createSprings(description);
+    
+    if (stringPhysics) {
+      settleRopes();
+    }
+  }
+  
+  cradleDescription = description;
+  accumulator = 0;
+  simulationTime = 0;
+  pendingContacts = [];
+  recording = false;
+  recordedSteps = [];
+  resetReference(description);
+  storeRestPose();
+  resetTelemetry(description);
+  resetRotatingFrame(description);
+  initialized = true;
+  return { hasSoftBodySupport: result.hasSoftBodySupport, stringType: getStringType() };
+}
+
+// Ropes are made at their unloaded length and stretch once the balls hang from them. Let them
+// stretch with their nodes fully damped before the run starts, the balls would bounce on them
+// otherwise. Telemetry, displacement and the rotating frame take the settled cradle as the rest
+// pose. The ropes also take their link rest lengths on their first step, this way from the pose
+// they were made in and not from a snapshot restored before the world has stepped.
+function settleRopes() {
+  setRopeDamping(1);
+  let calmSteps = 0;
+  for (let step = 0; step < MAX_SETTLING_STEPS && calmSteps < SETTLED_STEPS; step++) {
+    const before = getBallTransforms();
+    stepPhysics(physicsConfig.timeStep);
+    const after = getBallTransforms();
+    
+    let movement = 0;
+    for (let i = 0; i < after.length; i += BALL_TRANSFORM_STRIDE) {
+      movement = Math.max(movement, Math.hypot(after[i] - before[i], after[i + 1] - before[i + 1], after[i + 2] - before[i + 2]));
+    }
+    calmSteps = movement < SETTLED_MOVEMENT ? calmSteps + 1 : 0;
+  }
+  setRopeDamping(physicsConfig.softBody.damping);
+}
+
+// String model in use: 'softBody', 'chain', 'hinge', or null without strings
+function getStringType() {
+  if (stringPhysics) return 'softBody';
+  return rigidStrings ? rigidStrings.mode : null;
+}
+
+// Points along every string, packed like soft body rope nodes
+function getStringNodePositions() {
+  if (stringPhysics) return getRopeNodePositions();
+  if (rigidStrings) return getRigidStringNodePositions();
+  return { positions: new Float32Array(0), nodeCounts: [] };
+}
+
+export function isSimulationInitialized() {
+  return initialized;
+}
+
+// Advance the simulation by elapsed seconds in fixed increments, returns the number of steps taken
+export function advanceSimulation(elapsed, maxSteps = physicsConfig.maxSubSteps) {
+  if (!initialized) return 0;
+  
+  accumulator += elapsed;
+  
+  const timeStep = physicsConfig.timeStep;
+  let steps = 0;
+  while (accumulator >= timeStep && steps < maxSteps) {
+    const firstContact = pendingContacts.length;
+    storePreviousTransforms();
+    storePreviousReference();
+    if (stringPhysics) beginAnchorMeasurement();
+    if (cradleDescription && cradleDescription.rotatingFrame) applyRotatingFrameForces();
+    stepPhysics(timeStep);
+    if (stringPhysics) measureAnchorForces(timeStep);
+    stepReference(timeStep);
+    
+    // Held balls go where the pointer takes them, their reference follows
+    const grabbed = getGrabbedBallIndices();
+    if (grabbed.length > 0) {
+      syncReferenceToWorld(grabbed);
+    }
+    accumulator -= timeStep;
+    simulationTime += timeStep;
+    recordTelemetrySample(simulationTime);
+    if (recording) {
+      recordStep(pendingContacts.slice(firstContact));
+    }
+    steps++;
+  }
+  
+  // Drop any backlog the step budget could not absorb
+  if (accumulator >= timeStep) {
+    accumulator = accumulator % timeStep;
+  }
+  
+  return steps;
+}
+
+// Record the state after every step into the frames until turned off
+export function setRecording(enabled) {
+  recording = enabled;
+  recordedSteps = [];
+}
+
+// Ball transforms, rope nodes and new or ended contacts of the step just taken
+function recordStep(contacts) {
+  recordedSteps.push({
+    time: simulationTime,
+    balls: getBallTransforms(),
+    ropes: getStringNodePositions().positions,
+    reference: getReferencePositions(),
+    contacts: contacts.filter(contact => contact.type !== 'persist')
+  });
+}
+
+// Raise balls to angleDeg on their arcs at rest, they swing free from the next step
+export function setInitialDisplacement({ balls = [], angleDeg = 0 } = {}) {
+  if (!initialized) return false;
+  
+  // A held ball would be pulled straight back to the pointer
+  balls.forEach(releaseBall);
+  
+  if (!displaceBalls(cradleDescription, balls, angleDeg)) {
+    return false;
+  }
+  
+  // Compare from the new start, and don't interpolate from the old positions
+  syncReferenceToWorld();
+  storePreviousTransforms();
+  storePreviousReference();
+  markEnergyBaseline();
+  return true;
+}
+
+// Restart the ideal reference model from the current state of the given balls (all by default),
+// call after balls are deliberately moved or pushed
+export function syncReferenceToWorld(indices) {
+  if (!initialized) return;
+  setReferenceState(getBallTransforms(), getBallVelocities(), indices);
+}
+
+// Capture the simulated time and the state of every ball and rope node
+export function snapshotWorld() {
+  if (!initialized) return null;
+  return { time: simulationTime, ...captureSnapshot() };
+}
+
+// Resume from a snapshot of the same cradle, throws if it doesn't fit the world
+export function restoreWorld(snapshot) {
+  if (!initialized) return false;
+  
+  checkSnapshot(snapshot);
+  releaseAllBalls();
+  applySnapshot(snapshot);
+  
+  simulationTime = snapshot.time || 0;
+  accumulator = 0;
+  syncReferenceToWorld();
+  storePreviousTransforms();
+  storePreviousReference();
+  markEnergyBaseline();
+  return true;
+}
+
+// Report the current state as a frame (see protocol.js) and reset the collected contacts
+export function getSimulationFrame() {
+  const ropes = getStringNodePositions();
+  const frame = {
+    time: simulationTime,
+    alpha: accumulator / physicsConfig.timeStep,
+    balls: getBallTransforms(),
+    previousBalls: getPreviousBallTransforms(),
+    ropes: ropes.positions,
+    ropeNodeCounts: ropes.nodeCounts,
+    reference: getReferencePositions(),
+    previousReference: getPreviousReferencePositions(),
+    contacts: pendingContacts,
+    telemetry: takeTelemetrySamples(),
+    steps: recordedSteps
+  };
+  pendingContacts = [];
+  recordedSteps = [];
+  return frame;
+}
+
+// Remove every body from the world
+export function cleanupSimulation() {
+  if (!initialized) return;
+  
+  // Drop any balls still being held
+  releaseAllBalls();
+  
+  // Clear strings first
+  if (stringPhysics) {
+    clearSoftBodies();
+    stringPhysics = null;
+  }
+  if (rigidStrings) {
+    clearRigidStrings();
+    rigidStrings = null;
+  }
+  
+  // Springs hold on to the balls, remove them before the balls go
+  clearSprings();
+  
+  // Clear rigid bodies and world
+  clearBodies();
+  clearPhysicsWorld();
+  cradleDescription = null;
+  recordedSteps = [];
+  initialized = false;
+}
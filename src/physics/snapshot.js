@@ -0,0 +1,149 @@
+// snapshot.js - Capture and restore the dynamic state of balls and strings as plain JSON data
+//
+// Not captured, so a restored run can differ slightly from an uninterrupted one: the cached contact
+// points and their warm start impulses, which the solver rebuilds within a step or two, and
+// anything that isn't world state (held balls, the ideal reference's history, telemetry).
+import { getPhysics } from './core.js';
+import { getBallBodies } from './rigidBodies.js';
+import { getSoftBodies } from './softBodies.js';
+import { getRigidStringBodies } from './rigidStrings.js';
+
+const toArray = vector => [vector.x(), vector.y(), vector.z()];
+
+// Rigid body (ball or string segment) transform and velocities
+function captureBody(body) {
+  const transform = body.getWorldTransform();
+  const rotation = transform.getRotation();
+  return {
+    position: toArray(transform.getOrigin()),
+    quaternion: [rotation.x(), rotation.y(), rotation.z(), rotation.w()],
+    linearVelocity: toArray(body.getLinearVelocity()),
+    angularVelocity: toArray(body.getAngularVelocity())
+  };
+}
+
+// Flat node positions (m_x), previous positions (m_q) and velocities (m_v) of a rope
+function captureRope(rope) {
+  const nodes = rope.get_m_nodes();
+  const positions = [];
+  const previousPositions = [];
+  const velocities = [];
+  for (let i = 0; i < nodes.size(); i++) {
+    const node = nodes.at(i);
+    positions.push(...toArray(node.get_m_x()));
+    previousPositions.push(...toArray(node.get_m_q()));
+    velocities.push(...toArray(node.get_m_v()));
+  }
+  return { positions, previousPositions, velocities };
+}
+
+export function captureSnapshot() {
+  return {
+    balls: getBallBodies().map(captureBody),
+    ropes: getSoftBodies().map(captureRope),
+    segments: getRigidStringBodies().map(captureBody)
+  };
+}
+
+function restoreBody(body, state) {
+  const physics = getPhysics();
+  const transform = new physics.btTransform();
+  transform.setIdentity();
+  transform.setOrigin(new physics.btVector3(...state.position));
+  transform.setRotation(new physics.btQuaternion(...state.quaternion));
+  body.setWorldTransform(transform);
+  body.getMotionState().setWorldTransform(transform);
+  body.setLinearVelocity(new physics.btVector3(...state.linearVelocity));
+  body.setAngularVelocity(new physics.btVector3(...state.angularVelocity));
+  body.clearForces();
+  body.activate(true);
+}
+
+// Snapshots from before previousPositions was captured restore m_q to m_x, so the solver doesn't
+// see a jump but the first step differs slightly from the uninterrupted run
+function restoreRope(rope, state) {
+  const physics = getPhysics();
+  const nodes = rope.get_m_nodes();
+  const previousPositions = state.previousPositions || state.positions;
+  for (let i = 0; i < nodes.size(); i++) {
+    const node = nodes.at(i);
+    node.set_m_x(new physics.btVector3(...state.positions.slice(i * 3, i * 3 + 3)));
+    node.set_m_q(new physics.btVector3(...previousPositions.slice(i * 3, i * 3 + 3)));
+    node.set_m_v(new physics.btVector3(...state.velocities.slice(i * 3, i * 3 + 3)));
+  }
+  rope.activate(true);
+}
+
+const isVector = (values, length) =>
+  Array.isArray(values) && values.length === length && values.every(Number.isFinite);
+
+// Check a captured body has a transform and velocities made of finite numbers
+function isBodyState(state) {
+  return Boolean(state) &&
+    isVector(state.position, 3) &&
+    isVector(state.quaternion, 4) &&
+    isVector(state.linearVelocity, 3) &&
+    isVector(state.angularVelocity, 3);
+}
+
+// Check a snapshot fits the bodies in the world, returns an error message or null. Everything is
+// checked before anything is restored, so a bad snapshot leaves the world as it was.
+function validateSnapshot(snapshot, ballBodies, ropes, segments) {
+  if (!snapshot || !Array.isArray(snapshot.balls) || !Array.isArray(snapshot.ropes)) {
+    return "Snapshot must have balls and ropes arrays";
+  }
+  if (snapshot.time !== undefined && !Number.isFinite(snapshot.time)) {
+    return "Snapshot time must be a finite number";
+  }
+  if (snapshot.balls.length !== ballBodies.length) {
+    return `Snapshot has ${snapshot.balls.length} balls, the world has ${ballBodies.length}`;
+  }
+  if (snapshot.ropes.length !== ropes.length) {
+    return `Snapshot has ${snapshot.ropes.length} ropes, the world has ${ropes.length}`;
+  }
+  const snapshotSegments = snapshot.segments || [];
+  if (snapshotSegments.length !== segments.length) {
+    return `Snapshot has ${snapshotSegments.length} string segments, the world has ${segments.length}`;
+  }
+  
+  const badBall = snapshot.balls.findIndex(state => !isBodyState(state));
+  if (badBall !== -1) {
+    return `Snapshot ball ${badBall} needs position, quaternion, linearVelocity and angularVelocity of finite numbers`;
+  }
+  const badSegment = snapshotSegments.findIndex(state => !isBodyState(state));
+  if (badSegment !== -1) {
+    return `Snapshot string segment ${badSegment} needs position, quaternion, linearVelocity and angularVelocity of finite numbers`;
+  }
+  
+  const badRope = snapshot.ropes.findIndex((rope, i) => {
+    const expected = ropes[i].get_m_nodes().size() * 3;
+    return !rope || !isVector(rope.positions, expected) || !isVector(rope.velocities, expected) ||
+      (rope.previousPositions !== undefined && !isVector(rope.previousPositions, expected));
+  });
+  if (badRope !== -1) {
+    return `Snapshot rope ${badRope} doesn't match the node count of the world's rope or holds non-numbers`;
+  }
+  
+  return null;
+}
+
+// Throw if the snapshot doesn't fit the world, without touching it
+export function checkSnapshot(snapshot) {
+  if (!getPhysics()) {
+    throw new Error("Physics not initialized");
+  }
+  
+  const error = validateSnapshot(snapshot, getBallBodies(), getSoftBodies(), getRigidStringBodies());
+  if (error) {
+    throw new Error(error);
+  }
+}
+
+// Put every ball and rope node back to the captured state
+export function applySnapshot(snapshot) {
+  checkSnapshot(snapshot);
+  
+  getBallBodies().forEach((body, i) => restoreBody(body, snapshot.balls[i]));
+  getSoftBodies().forEach((rope, i) => restoreRope(rope, snapshot.ropes[i]));
+  getRigidStringBodies().forEach((body, i) => restoreBody(body, snapshot.segments[i]));
+}
@@ -0,0 +1,103 @@
+// springs.js - Springs coupling neighbouring pendulums, each a btGeneric6DofSpringConstraint between two bobs
+// The spring pulls along the first ball's x axis, the line between the bobs while they swing in the
+// xy plane. Every other axis is left free to the strings.
+import * as THREE from 'three';
+import { getPhysics, getPhysicsWorld } from './core.js';
+import { getBallBodies } from './rigidBodies.js';
+
+// Bullet's spring damping factor, 1 drives the spring with its full force and so loses no energy
+const SPRING_DAMPING = 1;
+
+// Per spring: { constraint, balls, anchors, restLength, stiffness }
+let springs = [];
+
+const anchorA = new THREE.Vector3();
+const anchorB = new THREE.Vector3();
+const axis = new THREE.Vector3();
+const offset = new THREE.Vector3();
+const rotation = new THREE.Quaternion();
+
+// Frame at a point given in a body's local frame, with the body's axes
+function createLocalFrame(physics, anchor) {
+  const frame = new physics.btTransform();
+  frame.setIdentity();
+  frame.setOrigin(new physics.btVector3(anchor.x, anchor.y, anchor.z));
+  return frame;
+}
+
+// Create a constraint for every described spring, relaxed at its rest length
+export function createSprings(description) {
+  const physics = getPhysics();
+  const physicsWorld = getPhysicsWorld();
+  if (!physics || !physicsWorld) {
+    console.error("Physics not initialized");
+    return [];
+  }
+  
+  clearSprings();
+  const bodies = getBallBodies();
+  
+  (description.springs || []).forEach(spring => {
+    const [a, b] = spring.balls;
+    if (!bodies[a] || !bodies[b]) {
+      console.error("Spring joins a missing ball:", spring.name);
+      return;
+    }
+    
+    const constraint = new physics.btGeneric6DofSpringConstraint(
+      bodies[a],
+      bodies[b],
+      createLocalFrame(physics, spring.anchors[0]),
+      createLocalFrame(physics, spring.anchors[1]),
+      true
+    );
+    
+    // A lower limit above the upper one leaves an axis free
+    constraint.setLinearLowerLimit(new physics.btVector3(1, 1, 1));
+    constraint.setLinearUpperLimit(new physics.btVector3(0, 0, 0));
+    constraint.setAngularLowerLimit(new physics.btVector3(1, 1, 1));
+    constraint.setAngularUpperLimit(new physics.btVector3(0, 0, 0));
+    
+    constraint.enableSpring(0, true);
+    constraint.setStiffness(0, spring.stiffness);
+    constraint.setDamping(0, SPRING_DAMPING);
+    constraint.setEquilibriumPoint(0, spring.restLength);
+    
+    // The bobs may still collide if they swing into each other
+    physicsWorld.addConstraint(constraint, false);
+    springs.push({ constraint, ...spring });
+  });
+  
+  console.debug(`Created ${springs.length} springs`);
+  return springs;
+}
+
+// World position of a point given in a body's local frame
+function toWorld(body, anchor, target) {
+  const transform = body.getWorldTransform();
+  const origin = transform.getOrigin();
+  const q = transform.getRotation();
+  rotation.set(q.x(), q.y(), q.z(), q.w());
+  return target.set(anchor.x, anchor.y, anchor.z).applyQuaternion(rotation)
+    .add(offset.set(origin.x(), origin.y(), origin.z()));
+}
+
+// Energy stored in the springs, from each one's stretch along its first ball's x axis
+export function getSpringPotentialEnergy() {
+  const bodies = getBallBodies();
+  return springs.reduce((sum, spring) => {
+    const [a, b] = spring.balls;
+    toWorld(bodies[b], spring.anchors[1], anchorB);
+    toWorld(bodies[a], spring.anchors[0], anchorA); // Leaves rotation at the first ball's
+    const stretch = anchorB.sub(anchorA).dot(axis.set(1, 0, 0).applyQuaternion(rotation)) - spring.restLength;
+    return sum + 0.5 * spring.stiffness * stretch * stretch;
+  }, 0);
+}
+
+export function clearSprings() {
+  const physicsWorld = getPhysicsWorld();
+  if (physicsWorld) {
+    springs.forEach(({ constraint }) => physicsWorld.removeConstraint(constraint));
+  }
+  springs = [];
+}
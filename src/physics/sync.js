@@ -0,0 +1,180 @@
+// sync.js - Apply physics frames from the worker to the Three.js meshes
+import * as THREE from 'three';
+import { BALL_TRANSFORM_STRIDE, ROPE_NODE_STRIDE, REFERENCE_BALL_STRIDE } from './protocol.js';
+
+const previousPosition = new THREE.Vector3();
+const previousQuaternion = new THREE.Quaternion();
+
+// Sync ball meshes with a physics frame, interpolating between the last two steps
+export function syncPhysicsObjects(cradle, frame) {
+  const balls = cradle.children.filter(child => child.name.startsWith('ball_'));
+  const { balls: current, previousBalls: previous, alpha } = frame;
+  const count = Math.min(balls.length, current.length / BALL_TRANSFORM_STRIDE);
+  
+  for (let i = 0; i < count; i++) {
+    const ball = balls[i];
+    const offset = i * BALL_TRANSFORM_STRIDE;
+    
+    ball.position.fromArray(current, offset);
+    ball.quaternion.fromArray(current, offset + 3);
+    
+    if (alpha < 1) {
+      previousPosition.fromArray(previous, offset);
+      previousQuaternion.fromArray(previous, offset + 3);
+      ball.position.lerpVectors(previousPosition, ball.position, alpha);
+      ball.quaternion.slerpQuaternions(previousQuaternion, ball.quaternion, alpha);
+    }
+  }
+  
+  syncReferenceGhosts(cradle, frame);
+}
+
+// Move the ghost balls to the ideal reference model, interpolated like the balls
+function syncReferenceGhosts(cradle, frame) {
+  const { reference, previousReference, alpha } = frame;
+  if (!reference) return;
+  
+  const ghosts = cradle.children.filter(child => child.name.startsWith('ghost_'));
+  const count = Math.min(ghosts.length, reference.length / REFERENCE_BALL_STRIDE);
+  
+  for (let i = 0; i < count; i++) {
+    const ghost = ghosts[i];
+    const offset = i * REFERENCE_BALL_STRIDE;
+    
+    ghost.position.fromArray(reference, offset);
+    if (alpha < 1 && previousReference) {
+      previousPosition.fromArray(previousReference, offset);
+      ghost.position.lerpVectors(previousPosition, ghost.position, alpha);
+    }
+  }
+}
+
+// Update string line geometry from the rope node positions in a physics frame.
+// Ropes arrive in the order of the cradle description's strings.
+export function updateSoftBodyStrings(cradle, frame) {
+  const { ropes, ropeNodeCounts } = frame;
+  if (!cradle || ropeNodeCounts.length === 0) return;
+  
+  const stringDescriptions = cradle.userData.description?.strings || [];
+  const strings = cradle.children.filter(child => child.name.startsWith('string_'));
+  const balls = cradle.children.filter(child => child.name.startsWith('ball_'));
+  
+  let offset = 0;
+  for (let i = 0; i < ropeNodeCounts.length && i < strings.length && i < stringDescriptions.length; i++) {
+    const numNodes = ropeNodeCounts[i];
+    const string = strings[i];
+    const start = getStringStart(stringDescriptions[i], balls);
+    const ball = balls[stringDescriptions[i].ball];
+    const ropeStart = offset;
+    offset += numNodes * ROPE_NODE_STRIDE;
+    
+    if (!ball) continue;
+    
+    if (numNodes === 0) {
+      createFallbackStringGeometry(string, ball, start);
+      continue;
+    }
+    
+    const positions = ropes.slice(ropeStart, offset);
+    
+    // Replace invalid nodes by interpolating between the rail and the ball top
+    for (let j = 0; j < numNodes; j++) {
+      const index = j * ROPE_NODE_STRIDE;
+      if (!isValidPosition(positions, index)) {
+        const t = j / (numNodes - 1);
+        const endY = ball.position.y + ball.userData.description.radius;
+        
+        positions[index] = start.x + (ball.position.x - start.x) * t;
+        positions[index + 1] = start.y + (endY - start.y) * t;
+        positions[index + 2] = start.z + (ball.position.z - start.z) * t;
+      }
+    }
+    
+    updateStringGeometry(string, positions);
+  }
+}
+
+// Where a string leaves its rail, or roughly the bottom of the ball it hangs from
+function getStringStart(stringDescription, balls) {
+  const parent = balls[stringDescription.parentBall];
+  if (!parent) return stringDescription.start;
+  
+  const { x, y, z } = parent.position;
+  return { x, y: y - parent.userData.description.radius, z };
+}
+
+// Helper function to create a fallback straight line geometry
+function createFallbackStringGeometry(string, ball, start) {
+  // Create a simple straight line between the rail and ball
+  const positions = new Float32Array([
+    start.x, start.y, start.z,
+    ball.position.x, ball.position.y + ball.userData.description.radius, ball.position.z
+  ]);
+  
+  updateStringGeometry(string, positions);
+}
+
+// Helper function to update string geometry
+function updateStringGeometry(string, positions) {
+  // Validate positions before updating geometry
+  let hasInvalidValues = false;
+  for (let i = 0; i < positions.length; i++) {
+    if (!isFinite(positions[i]) || isNaN(positions[i])) {
+      hasInvalidValues = true;
+      break;
+    }
+  }
+
+  if (hasInvalidValues) {
+    // Create a minimal valid geometry as fallback
+    const fallbackPositions = new Float32Array(6); // 2 points * 3 coordinates
+    
+    // Use the string's current start and end points if available
+    if (string.geometry && string.geometry.getAttribute('position')) {
+      const currentPos = string.geometry.getAttribute('position').array;
+      if (currentPos.length >= 6) {
+        fallbackPositions.set(currentPos.slice(0, 3), 0);  // First point
+        fallbackPositions.set(currentPos.slice(-3), 3);    // Last point
+      } else {
+        // Default to vertical line if no valid current positions
+        fallbackPositions[0] = 0;  // x
+        fallbackPositions[1] = 1;  // y
+        fallbackPositions[2] = 0;  // z
+        fallbackPositions[3] = 0;  // x
+        fallbackPositions[4] = 0;  // y
+        fallbackPositions[5] = 0;  // z
+      }
+    }
+    
+    positions = fallbackPositions;
+  }
+
+  // Update or create geometry
+  if (!string.geometry || !(string.geometry instanceof THREE.BufferGeometry)) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    string.geometry = geometry;
+  } else {
+    const positionAttribute = string.geometry.getAttribute('position');
+    if (positionAttribute.array.length !== positions.length) {
+      string.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    } else {
+      positionAttribute.set(positions);
+      positionAttribute.needsUpdate = true;
+    }
+  }
+
+  // Only compute bounding box if we have valid positions
+  if (!hasInvalidValues) {
+    string.geometry.computeBoundingBox();
+  }
+
+  string.visible = true;
+}
+
+// Helper function to validate a packed position
+function isValidPosition(positions, index) {
+  return isFinite(positions[index]) &&
+         isFinite(positions[index + 1]) &&
+         isFinite(positions[index + 2]);
+}
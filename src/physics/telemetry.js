@@ -0,0 +1,252 @@
+// telemetry.js - Energy and momentum of the cradle, sampled after every physics step
+import * as THREE from 'three';
+import { getBallBodies, getBallProperties } from './rigidBodies.js';
+import { getSoftBodies } from './softBodies.js';
+import { getSpringPotentialEnergy } from './springs.js';
+import { getReferenceBalls, getReferencePositions } from './reference.js';
+import { physicsConfig } from '../config/physics.js';
+import { REFERENCE_BALL_STRIDE } from './protocol.js';
+
+// Below this baseline energy there is nothing meaningful to conserve
+const MIN_BASELINE_ENERGY = 1e-3;
+
+// Rest heights that potential energy is measured from
+let ballReferenceHeights = [];
+let ropeReferenceHeights = [];
+
+// Suspension point above each ball, used for its pendulum angle
+let ballPivots = [];
+
+// Per linked ball: { parent, offset } where its string leaves the parent, in the parent's frame
+let ballLinks = [];
+
+// Ball indices of every chaotic pendulum, top to bottom
+let pendulumBalls = [];
+
+// Total energy that drift is measured against, null until the next sample sets it
+let energyBaseline = null;
+
+// Samples recorded since they were last taken
+let pendingSamples = [];
+
+const angularVelocity = new THREE.Vector3();
+const inverseRotation = new THREE.Quaternion();
+const pivotOffset = new THREE.Vector3();
+const parentRotation = new THREE.Quaternion();
+
+// Capture rest heights of the freshly created cradle, its ropes settled, and start a new series
+export function resetTelemetry(description) {
+  ballReferenceHeights = getBallBodies().map(body => body.getWorldTransform().getOrigin().y());
+  ballPivots = description.balls.map(ball => ball.pivot);
+  ballLinks = description.balls.map(ball => {
+    if (ball.parent === undefined) return null;
+    const parent = description.balls[ball.parent].position;
+    return {
+      parent: ball.parent,
+      offset: { x: ball.pivot.x - parent.x, y: ball.pivot.y - parent.y, z: ball.pivot.z - parent.z }
+    };
+  });
+  pendulumBalls = [];
+  description.balls.forEach((ball, i) => {
+    if (ball.pendulum === undefined) return;
+    if (!pendulumBalls[ball.pendulum]) {
+      pendulumBalls[ball.pendulum] = [];
+    }
+    pendulumBalls[ball.pendulum].push(i);
+  });
+  ropeReferenceHeights = getSoftBodies().map(rope => {
+    const nodes = rope.get_m_nodes();
+    const heights = [];
+    for (let i = 0; i < nodes.size(); i++) {
+      heights.push(nodes.at(i).get_m_x().y());
+    }
+    return heights;
+  });
+  energyBaseline = null;
+  pendingSamples = [];
+}
+
+// Measure drift from the next sample on, call after energy is deliberately added or removed
+export function markEnergyBaseline() {
+  energyBaseline = null;
+}
+
+// Compute and queue a sample for the given simulated time
+export function recordTelemetrySample(time) {
+  if (!physicsConfig.telemetry.enabled) return;
+  pendingSamples.push(computeTelemetrySample(time));
+}
+
+// Take the samples recorded since the last call
+export function takeTelemetrySamples() {
+  const samples = pendingSamples;
+  pendingSamples = [];
+  return samples;
+}
+
+// Point a ball swings about and its velocity in the swing plane: the fixed pivot on the rail, or
+// for a linked ball the end of its string on the moving parent ball
+function getSwingPivot(i) {
+  const link = ballLinks[i];
+  if (!link) {
+    const pivot = ballPivots[i];
+    return pivot ? { x: pivot.x, y: pivot.y, vx: 0, vy: 0 } : null;
+  }
+  
+  const body = getBallBodies()[link.parent];
+  const transform = body.getWorldTransform();
+  const origin = transform.getOrigin();
+  const q = transform.getRotation();
+  parentRotation.set(q.x(), q.y(), q.z(), q.w());
+  const r = pivotOffset.set(link.offset.x, link.offset.y, link.offset.z).applyQuaternion(parentRotation);
+  const velocity = body.getLinearVelocity();
+  const omega = body.getAngularVelocity();
+  return {
+    x: origin.x() + r.x,
+    y: origin.y() + r.y,
+    vx: velocity.x() + omega.y() * r.z - omega.z() * r.y,
+    vy: velocity.y() + omega.z() * r.x - omega.x() * r.z
+  };
+}
+
+// Wrap an angle difference into [-π, π]
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Kinetic and potential energy of every ball plus the total linear momentum
+function computeBallEnergies(gravity) {
+  const properties = getBallProperties();
+  const momentum = { x: 0, y: 0, z: 0 };
+  const reference = getReferenceBalls();
+  const referencePositions = getReferencePositions();
+  
+  const balls = getBallBodies().map((body, i) => {
+    const { mass, inertia } = properties[i];
+    const swingPivot = getSwingPivot(i);
+    const velocity = body.getLinearVelocity();
+    const vx = velocity.x();
+    const vy = velocity.y();
+    const vz = velocity.z();
+    
+    // Rotational energy uses the angular velocity in the body's local frame
+    const transform = body.getWorldTransform();
+    const rotation = transform.getRotation();
+    const omega = body.getAngularVelocity();
+    inverseRotation.set(rotation.x(), rotation.y(), rotation.z(), rotation.w()).invert();
+    angularVelocity.set(omega.x(), omega.y(), omega.z()).applyQuaternion(inverseRotation);
+    
+    const translational = 0.5 * mass * (vx * vx + vy * vy + vz * vz);
+    const rotational = 0.5 * (
+      inertia.x * angularVelocity.x * angularVelocity.x +
+      inertia.y * angularVelocity.y * angularVelocity.y +
+      inertia.z * angularVelocity.z * angularVelocity.z
+    );
+    const origin = transform.getOrigin();
+    const height = origin.y() - (ballReferenceHeights[i] ?? 0);
+    
+    // Pendulum angle from vertical and its rate of change in the swing (x-y) plane
+    const pivot = swingPivot || { x: origin.x(), y: origin.y(), vx: 0, vy: 0 };
+    const dx = origin.x() - pivot.x;
+    const dy = origin.y() - pivot.y;
+    const armLengthSq = dx * dx + dy * dy;
+    
+    momentum.x += mass * vx;
+    momentum.y += mass * vy;
+    momentum.z += mass * vz;
+    
+    // How far the ball has strayed from the ideal cradle's
+    const offset = i * REFERENCE_BALL_STRIDE;
+    const divergence = reference[i] ? Math.sqrt(
+      (origin.x() - referencePositions[offset]) ** 2 +
+      (origin.y() - referencePositions[offset + 1]) ** 2 +
+      (origin.z() - referencePositions[offset + 2]) ** 2
+    ) : 0;
+    
+    return {
+      kinetic: translational + rotational,
+      potential: mass * gravity * height,
+      velocity: { x: vx, y: vy, z: vz },
+      speed: Math.sqrt(vx * vx + vy * vy + vz * vz),
+      angle: Math.atan2(dx, -dy),
+      angularVelocity: armLengthSq > 0 ? (dx * (vy - pivot.vy) - dy * (vx - pivot.vx)) / armLengthSq : 0,
+      referenceAngle: reference[i] ? reference[i].angle : null,
+      divergence
+    };
+  });
+  
+  return { balls, momentum };
+}
+
+// How far the link angles of every chaotic pendulum have drifted from the first pendulum's (radians)
+function computePendulumDivergence(balls) {
+  const first = pendulumBalls[0];
+  return pendulumBalls.map(indices => Math.sqrt(indices.reduce((sum, index, link) => {
+    const difference = wrapAngle(balls[index].angle - balls[first[link]].angle);
+    return sum + difference * difference;
+  }, 0)));
+}
+
+// Kinetic and potential energy of all movable rope nodes
+function computeRopeEnergies(gravity) {
+  let kinetic = 0;
+  let potential = 0;
+  
+  getSoftBodies().forEach((rope, r) => {
+    const nodes = rope.get_m_nodes();
+    for (let i = 0; i < nodes.size(); i++) {
+      const node = nodes.at(i);
+      const inverseMass = node.get_m_im();
+      if (inverseMass <= 0) continue; // Pinned nodes don't move
+      
+      const mass = 1 / inverseMass;
+      const velocity = node.get_m_v();
+      const height = node.get_m_x().y() - (ropeReferenceHeights[r]?.[i] ?? 0);
+      const nodeKinetic = 0.5 * mass * (velocity.x() ** 2 + velocity.y() ** 2 + velocity.z() ** 2);
+      
+      // Skip nodes of a rope that has blown up rather than poisoning the totals
+      if (!isFinite(nodeKinetic) || !isFinite(height)) continue;
+      
+      kinetic += nodeKinetic;
+      potential += mass * gravity * height;
+    }
+  });
+  
+  return { kinetic, potential };
+}
+
+// Build a telemetry sample and compare its total energy with the baseline
+function computeTelemetrySample(time) {
+  const gravity = -physicsConfig.gravityConstant;
+  const { balls, momentum } = computeBallEnergies(gravity);
+  const ropes = computeRopeEnergies(gravity);
+  const springPotential = getSpringPotentialEnergy();
+  
+  const ballKinetic = balls.reduce((sum, ball) => sum + ball.kinetic, 0);
+  const ballPotential = balls.reduce((sum, ball) => sum + ball.potential, 0);
+  const total = ballKinetic + ballPotential + ropes.kinetic + ropes.potential + springPotential;
+  
+  if (energyBaseline === null) {
+    energyBaseline = total;
+  }
+  const drift = Math.abs(energyBaseline) < MIN_BASELINE_ENERGY ? 0 :
+    (total - energyBaseline) / Math.abs(energyBaseline);
+  
+  return {
+    time,
+    balls,
+    ballKinetic,
+    ballPotential,
+    ropeKinetic: ropes.kinetic,
+    ropePotential: ropes.potential,
+    springPotential,
+    total,
+    momentum: {
+      ...momentum,
+      magnitude: Math.sqrt(momentum.x ** 2 + momentum.y ** 2 + momentum.z ** 2)
+    },
+    drift,
+    driftExceeded: Math.abs(drift) > physicsConfig.telemetry.driftThreshold,
+    pendulumDivergence: computePendulumDivergence(balls)
+  };
+}
@@ -0,0 +1,33 @@
+// telemetrySeries.js - Bounded time series of telemetry samples on the main thread
+
+// Create a series that keeps the most recent `capacity` samples
+export function createTelemetrySeries(capacity) {
+  let samples = [];
+  
+  return {
+    push(sample) {
+      samples.push(sample);
+      if (samples.length > capacity) {
+        samples.splice(0, samples.length - capacity);
+      }
+    },
+    
+    // All retained samples, oldest first
+    getSamples() {
+      return samples;
+    },
+    
+    // Values picked from each sample, e.g. getSeries(sample => sample.momentum.magnitude)
+    getSeries(select) {
+      return samples.map(sample => ({ time: sample.time, value: select(sample) }));
+    },
+    
+    latest() {
+      return samples[samples.length - 1] || null;
+    },
+    
+    clear() {
+      samples = [];
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// worker.js - Runs the Ammo.js physics world off the main thread
+import {
+  initSimulation,
+  isSimulationInitialized,
+  advanceSimulation,
+  getSimulationFrame,
+  setInitialDisplacement,
+  snapshotWorld,
+  restoreWorld,
+  setRecording,
+  syncReferenceToWorld,
+  cleanupSimulation
+} from './simulation.js';
+import { applyImpulse } from './rigidBodies.js';
+import { updateSoftBodyConfig, getAnchorDiagnostics } from './softBodies.js';
+import { markEnergyBaseline } from './telemetry.js';
+import { grabBall, moveGrabbedBall, releaseBall } from './dragging.js';
+import { loadAmmo } from './ammoLoader.js';
+import { physicsConfig } from '../config/physics.js';
+import { mergeConfig } from '../config/index.js';
+
+// Copy the main thread's physics settings into this worker's config module and build the world
+async function init({ description, config }) {
+  mergeConfig(physicsConfig, config);
+  return initSimulation(await loadAmmo(), description);
+}
+
+// Take over changed settings, ropes pick theirs up immediately
+function configure({ config }) {
+  mergeConfig(physicsConfig, config);
+  if (isSimulationInitialized()) {
+    updateSoftBodyConfig();
+  }
+}
+
+// Advance the simulation by elapsed seconds and report the new state
+function step({ elapsed }) {
+  if (!isSimulationInitialized()) return null;
+  advanceSimulation(elapsed);
+  return getSimulationFrame();
+}
+
+function impulse({ ballIndex, impulse }) {
+  if (!isSimulationInitialized()) return;
+  applyImpulse(ballIndex, impulse);
+  syncReferenceToWorld();
+  markEnergyBaseline();
+}
+
+function displace({ balls, angleDeg }) {
+  if (!isSimulationInitialized()) return false;
+  return setInitialDisplacement({ balls, angleDeg });
+}
+
+function snapshot() {
+  return snapshotWorld();
+}
+
+function restore({ snapshot }) {
+  return restoreWorld(snapshot);
+}
+
+function record({ enabled }) {
+  setRecording(enabled);
+}
+
+function anchors() {
+  return isSimulationInitialized() ? getAnchorDiagnostics() : [];
+}
+
+function grab({ ballIndex, target }) {
+  if (!isSimulationInitialized()) return;
+  grabBall(ballIndex, target);
+}
+
+function drag({ ballIndex, target }) {
+  if (!isSimulationInitialized()) return;
+  moveGrabbedBall(ballIndex, target);
+}
+
+function release({ ballIndex }) {
+  if (!isSimulationInitialized()) return;
+  releaseBall(ballIndex);
+  syncReferenceToWorld([ballIndex]);
+  markEnergyBaseline();
+}
+
+function cleanup() {
+  cleanupSimulation();
+}
+
+const handlers = { init, configure, step, impulse, displace, snapshot, restore, record, anchors, grab, drag, release, cleanup };
+
+// Typed arrays at the top level of a result are transferred instead of copied
+function getTransferables(result) {
+  if (!result || typeof result !== 'object') return [];
+  return Object.values(result)
+    .filter(value => ArrayBuffer.isView(value))
+    .map(value => value.buffer);
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown physics request: ${type}`);
+    }
+    
+    const result = await handler(payload);
+    self.postMessage({ id, result }, getTransferables(result));
+  } catch (error) {
+    console.error(`Error handling physics request "${type}":`, error);
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,103 @@
+// replay.js - Play back a recorded run on the meshes without stepping physics
+import { getRecording, resetFrameClock } from './physics/index.js';
+import { syncPhysicsObjects, updateSoftBodyStrings } from './physics/sync.js';
+
+// Ignore longer gaps between animation frames (tab switches)
+const MAX_FRAME_TIME = 0.25;
+
+let active = false;
+let playing = false;
+let speed = 1; // Negative plays backwards
+let playbackTime = 0;
+let lastFrameTime = null;
+
+// Enter replay at the start of the recording, returns false if nothing was recorded
+export function startReplay() {
+  const recording = getRecording();
+  if (recording.isEmpty()) return false;
+  
+  active = true;
+  playing = true;
+  playbackTime = speed < 0 ? recording.getEndTime() : recording.getStartTime();
+  lastFrameTime = null;
+  return true;
+}
+
+export function stopReplay() {
+  active = false;
+  playing = false;
+  // Physics resumes from where it was, not from when the replay started
+  resetFrameClock();
+}
+
+export function isReplaying() {
+  return active;
+}
+
+export function isReplayPlaying() {
+  return playing;
+}
+
+export function setReplayPlaying(value) {
+  if (!active) return;
+  
+  // Playing from either end restarts from the other
+  const recording = getRecording();
+  if (value && speed > 0 && playbackTime >= recording.getEndTime()) {
+    playbackTime = recording.getStartTime();
+  } else if (value && speed < 0 && playbackTime <= recording.getStartTime()) {
+    playbackTime = recording.getEndTime();
+  }
+  playing = value;
+}
+
+export function getReplaySpeed() {
+  return speed;
+}
+
+export function setReplaySpeed(value) {
+  speed = value;
+}
+
+export function getReplayTime() {
+  return playbackTime;
+}
+
+// Jump to a simulated time within the recording
+export function seekReplay(time) {
+  const recording = getRecording();
+  playbackTime = Math.min(Math.max(time, recording.getStartTime()), recording.getEndTime());
+}
+
+// Advance playback by the measured frame time (ms) and show the recorded state on the meshes
+export function updateReplay(cradle, frameTime = performance.now()) {
+  if (!active) return;
+  
+  const recording = getRecording();
+  if (recording.isEmpty()) {
+    stopReplay();
+    return;
+  }
+  
+  if (lastFrameTime === null) {
+    lastFrameTime = frameTime;
+  }
+  const elapsed = Math.min((frameTime - lastFrameTime) / 1000, MAX_FRAME_TIME);
+  lastFrameTime = frameTime;
+  
+  if (playing) {
+    seekReplay(playbackTime + elapsed * speed);
+    
+    // Pause at either end
+    if (playbackTime >= recording.getEndTime() && speed > 0 ||
+        playbackTime <= recording.getStartTime() && speed < 0) {
+      playing = false;
+    }
+  }
+  
+  const frame = recording.getFrameAt(playbackTime);
+  if (cradle && frame) {
+    syncPhysicsObjects(cradle, frame);
+    updateSoftBodyStrings(cradle, frame);
+  }
+}
@@ -2,6 +2,8 @@
 import * as THREE from 'three';
 import { sceneConfig } from './config/scene.js';
 import { visualConfig } from './config/visual.js';
+import { ballMaterialPresets } from './config/materials.js';
+import { createCradleDescription, hasIdealCradle } from './layout.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 // Scene variables
@@ -14,6 +16,18 @@ let frameObjects = [];
 // Store fixed attachment points for strings
 let stringAttachPoints = [];
 
+// Compass rose size relative to the pendulum's arm, and the smallest it gets
+const COMPASS_RADIUS_RATIO = 0.35;
+const COMPASS_MIN_RADIUS = 1.5;
+
+// Shortest bob movement that adds a point to a floor trace
+const TRACE_MIN_STEP = 0.002;
+
+// Points along a spring coil, and the share of its length at either end that runs straight
+const SPRING_COIL_POINTS = 240;
+const SPRING_LEAD = 0.08;
+const coilPoint = new THREE.Vector3();
+
 // Initialize the Three.js scene
 export function initScene() {
   // Create scene
@@ -60,6 +74,11 @@ export function initScene() {
   controls.minDistance = 5;
   controls.maxDistance = 15;
   controls.maxPolarAngle = Math.PI / 2;
+  controls.target.set(
+    sceneConfig.camera.target.x,
+    sceneConfig.camera.target.y,
+    sceneConfig.camera.target.z
+  );
   
   // Set up lighting
   setupLighting(scene);
@@ -101,123 +120,115 @@ function setupLighting(scene) {
   }
 }
 
-// Create the Newton's Cradle visual elements
-export function createCradle() {
+// Create the Newton's Cradle visual elements, laid out from the settings unless a description
+// (such as a loaded scene file's) is given
+export function createCradle(description = createCradleDescription()) {
   const cradle = new THREE.Group();
   
-  // Calculate frame size based on balls
-  const frameWidth = (sceneConfig.numBalls * (sceneConfig.ballRadius * 2 + sceneConfig.ballSpacing)) + 4;
+  // Keep the description so the physics world matches the meshes
+  cradle.userData.description = description;
   
   // Create frame
-  createFrame(cradle, frameWidth);
+  createFrame(cradle, description.frames);
   
   // Create balls
-  createBalls(cradle);
+  createBalls(cradle, description.balls);
   
   // Create strings
-  createStrings(cradle);
+  createStrings(cradle, description.strings);
+  
+  // Create ghosts of the ideal reference model, which only models free, unlinked balls
+  if (hasIdealCradle(description)) {
+    createReferenceGhosts(cradle, description.balls);
+  }
   
   // Create floor
-  createFloor(cradle);
+  createFloor(cradle, description.floor);
+  
+  // Create the springs of coupled pendulums
+  createSpringCoils(cradle, description.springs || []);
+  
+  // A Foucault pendulum gets a compass rose to read its swing plane against, and a trace of it
+  if (description.rotatingFrame) {
+    createCompassRose(cradle, description);
+    createSwingTraces(cradle, description);
+  }
   
   return cradle;
 }
 
 // Create frame for the cradle
-function createFrame(cradle, frameWidth) {
+function createFrame(cradle, frameParts) {
   const frameMaterial = new THREE.MeshStandardMaterial({
     color: visualConfig.frameMaterial.color,
     metalness: visualConfig.frameMaterial.metalness,
     roughness: visualConfig.frameMaterial.roughness
   });
   
-  // Base
-  const baseGeometry = new THREE.BoxGeometry(
-    frameWidth,
-    sceneConfig.frame.height,
-    sceneConfig.frame.depth
-  );
-  const base = new THREE.Mesh(baseGeometry, frameMaterial);
-  base.position.set(0, -2, 0);
-  base.receiveShadow = true;
-  base.name = 'frame_base';
-  cradle.add(base);
-  
-  // Left leg
-  const legGeometry = new THREE.BoxGeometry(
-    sceneConfig.frame.width,
-    sceneConfig.frame.sideBarLength,
-    sceneConfig.frame.depth
-  );
-  const leftLeg = new THREE.Mesh(legGeometry, frameMaterial);
-  leftLeg.position.set(
-    -frameWidth / 2 + sceneConfig.frame.width/2, 
-    -2 + sceneConfig.frame.sideBarLength / 2,
-    0
-  );
-  leftLeg.castShadow = true;
-  leftLeg.receiveShadow = true;
-  leftLeg.name = 'frame_left';
-  cradle.add(leftLeg);
-  
-  // Right leg
-  const rightLeg = new THREE.Mesh(legGeometry, frameMaterial);
-  rightLeg.position.set(
-    frameWidth / 2 - sceneConfig.frame.width/2, 
-    -2 + sceneConfig.frame.sideBarLength / 2,
-    0
-  );
-  rightLeg.castShadow = true;
-  rightLeg.receiveShadow = true;
-  rightLeg.name = 'frame_right';
-  cradle.add(rightLeg);
-  
-  // Top bar
-  const topBarGeometry = new THREE.BoxGeometry(
-    frameWidth,
-    sceneConfig.frame.height,
-    sceneConfig.frame.depth
-  );
-  const topBar = new THREE.Mesh(topBarGeometry, frameMaterial);
-  topBar.position.set(0, -2 + sceneConfig.frame.sideBarLength, 0);
-  topBar.castShadow = true;
-  topBar.receiveShadow = true;
-  topBar.name = 'frame_top';
-  cradle.add(topBar);
+  frameParts.forEach(part => {
+    const geometry = new THREE.BoxGeometry(part.size.width, part.size.height, part.size.depth);
+    const mesh = new THREE.Mesh(geometry, frameMaterial);
+    mesh.position.set(part.position.x, part.position.y, part.position.z);
+    mesh.castShadow = part.name !== 'frame_base';
+    mesh.receiveShadow = true;
+    mesh.name = part.name;
+    cradle.add(mesh);
+  });
 }
 
 // Create balls for the cradle
-function createBalls(cradle) {
-  const ballMaterial = new THREE.MeshStandardMaterial({
-    color: visualConfig.ballMaterial.color,
-    metalness: visualConfig.ballMaterial.metalness,
-    roughness: visualConfig.ballMaterial.roughness,
-    transparent: false,
-    depthTest: true,
-    depthWrite: true
-  });
-  
-  const totalWidth = sceneConfig.numBalls * (sceneConfig.ballRadius * 2 + sceneConfig.ballSpacing);
-  const startX = -totalWidth / 2 + sceneConfig.ballRadius;
-  const ballHeight = -2 + sceneConfig.frame.sideBarLength * 0.6;
-  
-  for (let i = 0; i < sceneConfig.numBalls; i++) {
-    const ballGeometry = new THREE.SphereGeometry(sceneConfig.ballRadius, 32, 32);
-    const ball = new THREE.Mesh(ballGeometry, ballMaterial);
+function createBalls(cradle, ballDescriptions) {
+  ballDescriptions.forEach(description => {
+    const ball = new THREE.Mesh(createBobGeometry(description), createBallMaterial(description));
+    ball.userData.description = description;
     
-    const x = startX + i * (sceneConfig.ballRadius * 2 + sceneConfig.ballSpacing);
-    ball.position.set(x, ballHeight, 0);
-    ball.name = `ball_${i}`;
+    ball.position.set(description.position.x, description.position.y, description.position.z);
+    ball.name = description.name;
     
     ball.castShadow = true;
     ball.receiveShadow = true;
     ball.renderOrder = 1; // Ensure balls render after strings
     cradle.add(ball);
+  });
+}
+
+// Geometry matching a bob's collision shape (see physics/bobShapes.js), cylinders and capsules lie along z
+function createBobGeometry({ shape, radius }) {
+  switch (shape) {
+    case 'cylinder':
+      return new THREE.CylinderGeometry(radius, radius, 2 * radius, 32).rotateX(Math.PI / 2);
+    case 'cube':
+      return new THREE.BoxGeometry(2 * radius, 2 * radius, 2 * radius);
+    case 'capsule':
+      return new THREE.CapsuleGeometry(radius, 2 * radius, 8, 32).rotateX(Math.PI / 2);
+    default:
+      return new THREE.SphereGeometry(radius, 32, 32);
   }
 }
 
-// Create strings for the cradle
-function createStrings(cradle) {
+// Material of a ball: the shared ball material, with the ball's own material preset and colour on top.
+// Materials a scene file brings along travel with the ball as customMaterial.
+export function createBallMaterial(description = {}) {
+  const preset = description.customMaterial ||
+    (Object.hasOwn(ballMaterialPresets, description.material || '') ? ballMaterialPresets[description.material] : null);
+  const { color, metalness, roughness, transparent, opacity } = {
+    ...visualConfig.ballMaterial,
+    ...(preset && preset.visual)
+  };
+  
+  return new THREE.MeshStandardMaterial({
+    color: description.color ?? color,
+    metalness,
+    roughness,
+    transparent,
+    opacity,
+    depthTest: true,
+    depthWrite: !transparent
+  });
+}
+
+// Create strings for the cradle, one line per described string
+function createStrings(cradle, stringDescriptions) {
   const stringMaterial = new THREE.LineBasicMaterial({ 
     color: visualConfig.stringMaterial.color,
     transparent: visualConfig.stringMaterial.transparent,
@@ -225,42 +236,44 @@ function createStrings(cradle) {
     linewidth: 2
   });
   
-  const balls = cradle.children.filter(child => child.name.startsWith('ball_'));
-  const frameTop = cradle.children.find(child => child.name === 'frame_top');
-  
-  for (let i = 0; i < balls.length; i++) {
-    const ball = balls[i];
-    
-    // Create initial geometry with two points
-    const points = [
-      new THREE.Vector3(ball.position.x, frameTop.position.y, 0),
-      new THREE.Vector3(ball.position.x, ball.position.y + sceneConfig.ballRadius, 0)
-    ];
+  stringDescriptions.forEach(description => {
+    // Create initial geometry with two points, from the rail to the top of the ball
+    const { start, end } = description;
+    const positions = new Float32Array([start.x, start.y, start.z, end.x, end.y, end.z]);
     
     // Create buffer geometry for the line
     const stringGeometry = new THREE.BufferGeometry();
-    
-    // Create vertices for the line
-    const positions = new Float32Array(points.length * 3);
-    for (let j = 0; j < points.length; j++) {
-      positions[j * 3] = points[j].x;
-      positions[j * 3 + 1] = points[j].y;
-      positions[j * 3 + 2] = points[j].z;
-    }
-    
-    // Set position attribute
     stringGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
     
     // Create the line
     const string = new THREE.Line(stringGeometry, stringMaterial);
-    string.name = `string_${i}`;
+    string.name = description.name;
     cradle.add(string);
-  }
+  });
+}
+
+// Create translucent ghosts that follow the ideal reference model, one per ball
+function createReferenceGhosts(cradle, ballDescriptions) {
+  const ghostMaterial = new THREE.MeshBasicMaterial({
+    color: visualConfig.referenceGhosts.color,
+    transparent: true,
+    opacity: visualConfig.referenceGhosts.opacity,
+    depthWrite: false
+  });
+  
+  ballDescriptions.forEach((description, i) => {
+    const ghost = new THREE.Mesh(new THREE.SphereGeometry(description.radius, 24, 24), ghostMaterial);
+    ghost.position.set(description.position.x, description.position.y, description.position.z);
+    ghost.name = `ghost_${i}`;
+    ghost.visible = visualConfig.referenceGhosts.enabled;
+    ghost.renderOrder = 2; // Draw over the balls they overlap
+    cradle.add(ghost);
+  });
 }
 
 // Create floor for shadows
-function createFloor(cradle) {
-  const floorGeometry = new THREE.PlaneGeometry(30, 30);
+function createFloor(cradle, floorDescription) {
+  const floorGeometry = new THREE.PlaneGeometry(floorDescription.size.width, floorDescription.size.depth);
   const floorMaterial = new THREE.MeshStandardMaterial({
     color: 0xcccccc,
     roughness: 0.8,
@@ -269,12 +282,171 @@ function createFloor(cradle) {
   
   const floor = new THREE.Mesh(floorGeometry, floorMaterial);
   floor.rotation.x = -Math.PI / 2;
-  floor.position.y = -2;
+  floor.position.set(floorDescription.position.x, floorDescription.position.y, floorDescription.position.z);
   floor.receiveShadow = true;
   floor.name = 'floor';
   cradle.add(floor);
 }
 
+// Draw every spring as a coil between its anchors, updated as the balls move
+function createSpringCoils(cradle, springs) {
+  const material = new THREE.LineBasicMaterial({ color: visualConfig.spring.color });
+  
+  springs.forEach(spring => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((SPRING_COIL_POINTS + 1) * 3), 3));
+    
+    const coil = new THREE.Line(geometry, material);
+    coil.name = spring.name;
+    coil.frustumCulled = false; // The bounding sphere isn't kept up to date
+    coil.userData.spring = spring;
+    cradle.add(coil);
+  });
+  updateSpringCoils(cradle);
+}
+
+// Stretch every spring coil between the current anchor points on its balls
+function updateSpringCoils(cradle) {
+  cradle.children.forEach(child => {
+    const spring = child.userData.spring;
+    if (!spring) return;
+    const ends = spring.balls.map((index, k) => {
+      const ball = cradle.getObjectByName(`ball_${index}`);
+      const { x, y, z } = spring.anchors[k];
+      return ball ? new THREE.Vector3(x, y, z).applyQuaternion(ball.quaternion).add(ball.position) : null;
+    });
+    if (!ends[0] || !ends[1]) return;
+    
+    // Coil around the line between the anchors, straight for a short lead at either end
+    const axis = ends[1].clone().sub(ends[0]);
+    const side = new THREE.Vector3(0, 1, 0).cross(axis).normalize();
+    if (side.lengthSq() === 0) side.set(1, 0, 0);
+    const up = axis.clone().cross(side).normalize();
+    const { coils, radius } = visualConfig.spring;
+    const points = child.geometry.getAttribute('position');
+    
+    for (let i = 0; i <= SPRING_COIL_POINTS; i++) {
+      const t = i / SPRING_COIL_POINTS;
+      const inCoil = t > SPRING_LEAD && t < 1 - SPRING_LEAD;
+      const turn = 2 * Math.PI * coils * (t - SPRING_LEAD) / (1 - 2 * SPRING_LEAD);
+      const point = coilPoint.copy(ends[0]).addScaledVector(axis, t);
+      if (inCoil) {
+        point.addScaledVector(side, Math.sin(turn) * radius).addScaledVector(up, (1 - Math.cos(turn)) * radius);
+      }
+      points.setXYZ(i, point.x, point.y, point.z);
+    }
+    points.needsUpdate = true;
+  });
+}
+
+// Compass rose on the floor under the first pendulum, north is -z
+function createCompassRose(cradle, description) {
+  const ball = description.balls[0];
+  if (!ball) return;
+  const radius = Math.max(COMPASS_MIN_RADIUS, (ball.pivot.y - ball.position.y) * COMPASS_RADIUS_RATIO);
+  
+  const size = 512;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  const centre = size / 2;
+  const outer = size / 2 - 40;
+  
+  context.strokeStyle = '#455A64';
+  context.fillStyle = '#455A64';
+  context.lineWidth = 3;
+  context.beginPath();
+  context.arc(centre, centre, outer, 0, Math.PI * 2);
+  context.stroke();
+  
+  // A tick every 10°, longer ones every 45°
+  for (let degrees = 0; degrees < 360; degrees += 10) {
+    const angle = degrees * Math.PI / 180;
+    const inner = outer - (degrees % 45 === 0 ? 30 : 12);
+    context.beginPath();
+    context.moveTo(centre + Math.sin(angle) * inner, centre - Math.cos(angle) * inner);
+    context.lineTo(centre + Math.sin(angle) * outer, centre - Math.cos(angle) * outer);
+    context.stroke();
+  }
+  
+  // Canvas up becomes -z once the plane lies on the floor
+  context.font = 'bold 36px Arial, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, degrees]) => {
+    const angle = degrees * Math.PI / 180;
+    context.fillText(label, centre + Math.sin(angle) * (outer + 20), centre - Math.cos(angle) * (outer + 20));
+  });
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  const rose = new THREE.Mesh(
+    new THREE.PlaneGeometry(radius * 2 * size / (2 * outer), radius * 2 * size / (2 * outer)),
+    new THREE.MeshStandardMaterial({ map: texture, transparent: true, depthWrite: false })
+  );
+  rose.rotation.x = -Math.PI / 2;
+  rose.position.set(ball.pivot.x, description.floor.position.y + 0.005, ball.pivot.z);
+  rose.receiveShadow = true;
+  rose.name = 'compass_rose';
+  cradle.add(rose);
+}
+
+// Create a line per ball that follows its bob projected onto the floor
+function createSwingTraces(cradle, description) {
+  const material = new THREE.LineBasicMaterial({
+    color: visualConfig.swingTrace.color,
+    transparent: true,
+    opacity: visualConfig.swingTrace.opacity
+  });
+  
+  description.balls.forEach((ball, i) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(sceneConfig.foucault.traceLength * 3), 3));
+    geometry.setDrawRange(0, 0);
+    
+    const trace = new THREE.Line(geometry, material);
+    trace.name = `trace_${i}`;
+    trace.frustumCulled = false; // The bounding sphere isn't kept up to date
+    trace.userData.height = description.floor.position.y + 0.01;
+    cradle.add(trace);
+  });
+}
+
+// Add the current bob positions to their floor traces, the oldest points drop off once full
+function updateSwingTraces(cradle) {
+  cradle.children.forEach(child => {
+    if (!child.name.startsWith('trace_')) return;
+    const ball = cradle.getObjectByName(`ball_${child.name.slice('trace_'.length)}`);
+    if (!ball) return;
+    
+    const attribute = child.geometry.getAttribute('position');
+    const points = attribute.array;
+    const count = child.geometry.drawRange.count;
+    
+    // Skip points that would pile up while the bob is (nearly) still
+    const last = (count - 1) * 3;
+    if (count > 0 && Math.hypot(points[last] - ball.position.x, points[last + 2] - ball.position.z) < TRACE_MIN_STEP) return;
+    
+    let index = count;
+    if (count * 3 >= points.length) {
+      points.copyWithin(0, 3);
+      index = count - 1;
+    }
+    points.set([ball.position.x, child.userData.height, ball.position.z], index * 3);
+    child.geometry.setDrawRange(0, index + 1);
+    attribute.needsUpdate = true;
+  });
+}
+
+// Start the floor traces afresh, e.g. when the pendulum is released again
+export function clearSwingTraces(cradle) {
+  cradle.children.forEach(child => {
+    if (child.name.startsWith('trace_')) {
+      child.geometry.setDrawRange(0, 0);
+    }
+  });
+}
+
 // Update string positions and rotations
 /* 
 function updateStrings(cradle) {
@@ -284,9 +456,12 @@ function updateStrings(cradle) {
 */
 
 // Update the scene
-export function updateScene() {
+export function updateScene(cradle) {
   // Don't call updateStrings here, as it will conflict with softBodies.js
-  // You can add other scene updates here if needed
+  if (cradle) {
+    updateSwingTraces(cradle);
+    updateSpringCoils(cradle);
+  }
 }
 
 // Handle window resize
@@ -0,0 +1,450 @@
+// sceneFile.js - Versioned JSON scene files that spell out a whole cradle, see docs/SCENE_FORMAT.md
+// A scene file is checked and turned into the same plain cradle description layout.js builds from the
+// settings, which then drives both the Three.js scene and the physics world.
+import { sceneConfig, physicsConfig, ballMaterialPresets, mergeConfig } from './config/index.js';
+import { applyBallOverrides, describeSpring } from './layout.js';
+import { BOB_SHAPES } from './physics/bobShapes.js';
+
+// Version of the format this app reads and writes
+export const SCENE_FILE_VERSION = 1;
+
+const TOP_LEVEL_KEYS = [
+  'version', 'name', 'frame', 'floor', 'anchors', 'pendulums', 'springs', 'rotatingFrame',
+  'materials', 'ropes', 'camera', 'lighting'
+];
+const PENDULUM_KEYS = ['pivot', 'anchors', 'swing', 'damping', 'balls'];
+const BALL_KEYS = ['rope', 'radius', 'shape', 'material', 'mass', 'restitution', 'friction', 'color'];
+const SWING_TYPES = ['planar', 'spherical'];
+const ROPE_TYPES = ['softBody', 'chain', 'hinge'];
+
+// Rope lengths are written rounded to this fraction, dropping the float error of working them back out
+const ROPE_PRECISION = 1e9;
+
+// Ball values a scene file stores when they differ from the ball's material
+const BALL_FILE_OVERRIDES = ['mass', 'restitution', 'friction', 'color'];
+
+// Names of the materials a scene file defines, plain identifiers such as "brass" or "dark_glass"
+const MATERIAL_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const show = value => (value === undefined ? 'nothing' : JSON.stringify(value));
+
+// Validation helpers, each adds "path: problem" messages to errors
+
+function checkKeys(errors, object, path, allowed) {
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) {
+      errors.push(`${path ? `${path}.` : ''}${key}: unknown setting, expected one of ${allowed.join(', ')}`);
+    }
+  });
+}
+
+function checkNumber(errors, value, path, { min = -Infinity, positive = false, optional = false } = {}) {
+  if (value === undefined && optional) return;
+  if (!isNumber(value)) {
+    errors.push(`${path}: expected a number, got ${show(value)}`);
+  } else if (positive && value <= 0) {
+    errors.push(`${path}: expected a number above 0, got ${show(value)}`);
+  } else if (value < min) {
+    errors.push(`${path}: expected a number of at least ${min}, got ${show(value)}`);
+  }
+}
+
+function checkVector(errors, value, path, { keys = ['x', 'y', 'z'], positive = false, optional = false } = {}) {
+  if (value === undefined && optional) return;
+  if (!isObject(value)) {
+    errors.push(`${path}: expected { ${keys.join(', ')} }, got ${show(value)}`);
+    return;
+  }
+  keys.forEach(key => checkNumber(errors, value[key], `${path}.${key}`, { positive }));
+}
+
+function checkOneOf(errors, value, path, options, { optional = false } = {}) {
+  if (value === undefined && optional) return;
+  if (!options.includes(value)) {
+    errors.push(`${path}: expected one of ${options.join(', ')}, got ${show(value)}`);
+  }
+}
+
+// Check a list of objects item by item
+function checkList(errors, value, path, checkItem, { optional = false, nonEmpty = false } = {}) {
+  if (value === undefined && optional) return;
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected a list, got ${show(value)}`);
+    return;
+  }
+  if (nonEmpty && value.length === 0) {
+    errors.push(`${path}: expected at least one entry`);
+  }
+  value.forEach((item, i) => {
+    if (isObject(item)) {
+      checkItem(item, `${path}[${i}]`);
+    } else {
+      errors.push(`${path}[${i}]: expected an object, got ${show(item)}`);
+    }
+  });
+}
+
+// Names must be non-empty text and unique among their kind
+function checkName(errors, value, path, names) {
+  if (typeof value !== 'string' || value === '') {
+    errors.push(`${path}: expected a name, got ${show(value)}`);
+  } else if (names.has(value)) {
+    errors.push(`${path}: "${value}" is used more than once`);
+  } else {
+    names.add(value);
+  }
+}
+
+function checkMaterials(errors, materials) {
+  if (materials === undefined) return;
+  if (!isObject(materials)) {
+    errors.push(`materials: expected an object of named materials, got ${show(materials)}`);
+    return;
+  }
+  
+  Object.entries(materials).forEach(([name, material]) => {
+    const path = `materials.${name}`;
+    if (!MATERIAL_NAME.test(name) || name in Object.prototype) {
+      errors.push(`${path}: expected a name of letters, digits, "_" and "-" starting with a letter, other than a built-in object property such as "constructor"`);
+      return;
+    }
+    if (!isObject(material)) {
+      errors.push(`${path}: expected { label, visual, physics }, got ${show(material)}`);
+      return;
+    }
+    checkKeys(errors, material, path, ['label', 'visual', 'physics']);
+    if (material.visual !== undefined && !isObject(material.visual)) {
+      errors.push(`${path}.visual: expected an object, got ${show(material.visual)}`);
+    }
+    if (!isObject(material.physics)) {
+      errors.push(`${path}.physics: expected { restitution, friction, density }, got ${show(material.physics)}`);
+      return;
+    }
+    checkNumber(errors, material.physics.restitution, `${path}.physics.restitution`, { min: 0 });
+    checkNumber(errors, material.physics.friction, `${path}.physics.friction`, { min: 0 });
+    if (material.physics.density !== null) {
+      checkNumber(errors, material.physics.density, `${path}.physics.density`, { positive: true, optional: true });
+    }
+  });
+}
+
+function checkBall(errors, ball, path, materialNames) {
+  checkKeys(errors, ball, path, BALL_KEYS);
+  checkNumber(errors, ball.rope, `${path}.rope`, { positive: true });
+  checkNumber(errors, ball.radius, `${path}.radius`, { positive: true });
+  checkOneOf(errors, ball.shape, `${path}.shape`, BOB_SHAPES, { optional: true });
+  checkOneOf(errors, ball.material, `${path}.material`, materialNames, { optional: true });
+  checkNumber(errors, ball.mass, `${path}.mass`, { positive: true, optional: true });
+  checkNumber(errors, ball.restitution, `${path}.restitution`, { min: 0, optional: true });
+  checkNumber(errors, ball.friction, `${path}.friction`, { min: 0, optional: true });
+  if (ball.color !== undefined && !isNumber(ball.color) && typeof ball.color !== 'string') {
+    errors.push(`${path}.color: expected a number such as 16711680 or text such as "#ff0000", got ${show(ball.color)}`);
+  }
+}
+
+function checkPendulum(errors, pendulum, path, anchorNames, materialNames) {
+  checkKeys(errors, pendulum, path, PENDULUM_KEYS);
+  checkVector(errors, pendulum.pivot, `${path}.pivot`);
+  checkOneOf(errors, pendulum.swing, `${path}.swing`, SWING_TYPES, { optional: true });
+  checkNumber(errors, pendulum.damping, `${path}.damping`, { min: 0, optional: true });
+  
+  if (!Array.isArray(pendulum.anchors) || pendulum.anchors.length < 1 || pendulum.anchors.length > 2) {
+    errors.push(`${path}.anchors: expected a list of one or two anchor names, got ${show(pendulum.anchors)}`);
+  } else {
+    pendulum.anchors.forEach((name, i) => {
+      if (!anchorNames.has(name)) {
+        errors.push(`${path}.anchors[${i}]: no anchor is called ${show(name)}`);
+      }
+    });
+  }
+  
+  checkList(errors, pendulum.balls, `${path}.balls`, (ball, ballPath) =>
+    checkBall(errors, ball, ballPath, materialNames), { nonEmpty: true });
+}
+
+function checkSprings(errors, springs, ballCount) {
+  checkList(errors, springs, 'springs', (spring, path) => {
+    checkKeys(errors, spring, path, ['balls', 'stiffness']);
+    checkNumber(errors, spring.stiffness, `${path}.stiffness`, { positive: true });
+    const { balls } = spring;
+    const isBallIndex = index => Number.isInteger(index) && index >= 0 && index < ballCount;
+    if (!Array.isArray(balls) || balls.length !== 2 || !balls.every(isBallIndex) || balls[0] === balls[1]) {
+      errors.push(`${path}.balls: expected two different ball indices below ${ballCount}, got ${show(balls)}`);
+    }
+  }, { optional: true });
+}
+
+function checkView(errors, file) {
+  if (file.camera !== undefined) {
+    if (!isObject(file.camera)) {
+      errors.push(`camera: expected { position, target, fov }, got ${show(file.camera)}`);
+    } else {
+      checkKeys(errors, file.camera, 'camera', ['position', 'target', 'fov']);
+      checkVector(errors, file.camera.position, 'camera.position', { optional: true });
+      checkVector(errors, file.camera.target, 'camera.target', { optional: true });
+      checkNumber(errors, file.camera.fov, 'camera.fov', { positive: true, optional: true });
+    }
+  }
+  
+  if (file.lighting !== undefined) {
+    if (!isObject(file.lighting)) {
+      errors.push(`lighting: expected { ambient, directional, position }, got ${show(file.lighting)}`);
+    } else {
+      checkKeys(errors, file.lighting, 'lighting', ['ambient', 'directional', 'position']);
+      checkNumber(errors, file.lighting.ambient, 'lighting.ambient', { min: 0, optional: true });
+      checkNumber(errors, file.lighting.directional, 'lighting.directional', { min: 0, optional: true });
+      checkVector(errors, file.lighting.position, 'lighting.position', { optional: true });
+    }
+  }
+}
+
+function checkRopes(errors, ropes) {
+  if (ropes === undefined) return;
+  if (!isObject(ropes)) {
+    errors.push(`ropes: expected an object of rope settings, got ${show(ropes)}`);
+    return;
+  }
+  checkKeys(errors, ropes, 'ropes', Object.keys(physicsConfig.string));
+  checkOneOf(errors, ropes.type, 'ropes.type', ROPE_TYPES, { optional: true });
+  Object.entries(ropes).forEach(([key, value]) => {
+    if (key !== 'type' && key in physicsConfig.string) {
+      checkNumber(errors, value, `ropes.${key}`, { min: 0 });
+    }
+  });
+}
+
+// Every problem with a scene file as a readable "path: problem" message, none if it can be loaded
+export function validateSceneFile(file) {
+  if (!isObject(file)) {
+    return [`scene file: expected a JSON object, got ${show(file)}`];
+  }
+  
+  const errors = [];
+  if (file.version !== SCENE_FILE_VERSION) {
+    errors.push(file.version === undefined ?
+      `version: missing, expected ${SCENE_FILE_VERSION}` :
+      `version: ${show(file.version)} is not supported, this app reads version ${SCENE_FILE_VERSION}`);
+  }
+  checkKeys(errors, file, '', TOP_LEVEL_KEYS);
+  if (file.name !== undefined && typeof file.name !== 'string') {
+    errors.push(`name: expected text, got ${show(file.name)}`);
+  }
+  
+  const frameNames = new Set();
+  checkList(errors, file.frame, 'frame', (part, path) => {
+    checkKeys(errors, part, path, ['name', 'size', 'position']);
+    checkName(errors, part.name, `${path}.name`, frameNames);
+    checkVector(errors, part.size, `${path}.size`, { keys: ['width', 'height', 'depth'], positive: true });
+    checkVector(errors, part.position, `${path}.position`);
+  });
+  
+  if (!isObject(file.floor)) {
+    errors.push(`floor: expected { size, position }, got ${show(file.floor)}`);
+  } else {
+    checkVector(errors, file.floor.size, 'floor.size', { keys: ['width', 'depth'], positive: true });
+    checkVector(errors, file.floor.position, 'floor.position');
+  }
+  
+  const anchorNames = new Set();
+  checkList(errors, file.anchors, 'anchors', (anchor, path) => {
+    checkKeys(errors, anchor, path, ['name', 'frame', 'y', 'z']);
+    checkName(errors, anchor.name, `${path}.name`, anchorNames);
+    if (!frameNames.has(anchor.frame)) {
+      errors.push(`${path}.frame: no frame part is called ${show(anchor.frame)}`);
+    }
+    checkNumber(errors, anchor.y, `${path}.y`);
+    checkNumber(errors, anchor.z, `${path}.z`);
+  });
+  
+  checkMaterials(errors, file.materials);
+  const materialNames = [...Object.keys(ballMaterialPresets), ...Object.keys(isObject(file.materials) ? file.materials : {})];
+  
+  let ballCount = 0;
+  checkList(errors, file.pendulums, 'pendulums', (pendulum, path) => {
+    checkPendulum(errors, pendulum, path, anchorNames, materialNames);
+    ballCount += Array.isArray(pendulum.balls) ? pendulum.balls.length : 0;
+  }, { nonEmpty: true });
+  
+  checkSprings(errors, file.springs, ballCount);
+  if (file.rotatingFrame !== undefined && typeof file.rotatingFrame !== 'boolean') {
+    errors.push(`rotatingFrame: expected true or false, got ${show(file.rotatingFrame)}`);
+  }
+  checkRopes(errors, file.ropes);
+  checkView(errors, file);
+  return errors;
+}
+
+// Check a scene file, take over its rope, camera and lighting settings, and describe its cradle.
+// The file's materials only apply to its own balls. Throws an error listing every problem if the
+// file can't be loaded.
+export function loadSceneFile(file) {
+  const errors = validateSceneFile(file);
+  if (errors.length > 0) {
+    const name = isObject(file) && typeof file.name === 'string' ? ` "${file.name}"` : '';
+    throw new Error(`Invalid scene file${name}:\n  ${errors.join('\n  ')}`);
+  }
+  
+  mergeConfig(physicsConfig.string, file.ropes || {});
+  mergeConfig(sceneConfig.camera, file.camera || {});
+  mergeConfig(sceneConfig.lighting, file.lighting || {});
+  
+  return describeSceneFile(file);
+}
+
+// Fetch a scene file by URL, relative ones resolve against the page
+export async function fetchSceneFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch scene file ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Cradle description of a valid scene file, the same shape createCradleDescription returns
+function describeSceneFile(file) {
+  const anchors = new Map(file.anchors.map(anchor => [anchor.name, anchor]));
+  const customMaterials = new Map(Object.entries(file.materials || {}).map(([name, material]) =>
+    [name, { label: name, visual: {}, ...material }]));
+  const materials = { ...ballMaterialPresets, ...Object.fromEntries(customMaterials) };
+  const balls = [];
+  const strings = [];
+  
+  file.pendulums.forEach((pendulum, p) => {
+    let pivot = pendulum.pivot;
+    pendulum.balls.forEach((settings, link) => {
+      const index = balls.length;
+      const ball = {
+        name: `ball_${index}`,
+        ...applyBallOverrides({ radius: settings.radius, shape: settings.shape || 'sphere' }, settings, materials),
+        position: { x: pivot.x, y: pivot.y - settings.rope - settings.radius, z: pivot.z },
+        pivot: { ...pivot }
+      };
+      if (customMaterials.has(settings.material)) {
+        ball.customMaterial = customMaterials.get(settings.material);
+      }
+      if (pendulum.balls.length > 1) {
+        ball.pendulum = p;
+        ball.link = link;
+        if (link > 0) {
+          ball.parent = index - 1;
+        }
+      }
+      if (pendulum.swing === 'spherical') {
+        ball.swing = 'spherical';
+      }
+      if (pendulum.damping !== undefined) {
+        ball.linearDamping = pendulum.damping;
+        ball.angularDamping = pendulum.damping;
+      }
+      balls.push(ball);
+      strings.push(...describeRopes(ball, index, pendulum.anchors.map(name => anchors.get(name))));
+      pivot = { x: pivot.x, y: ball.position.y - ball.radius, z: pivot.z };
+    });
+  });
+  
+  // Springs run from the ball further left to the one further right
+  const springs = (file.springs || []).map(({ balls: [a, b], stiffness }, i) =>
+    (balls[a].position.x <= balls[b].position.x ?
+      describeSpring(balls, a, b, stiffness, `spring_${i}`) :
+      describeSpring(balls, b, a, stiffness, `spring_${i}`)));
+  
+  return {
+    frames: file.frame.map(({ name, size, position }) => ({ name, size: { ...size }, position: { ...position } })),
+    balls,
+    strings,
+    springs,
+    floor: { size: { ...file.floor.size }, position: { ...file.floor.position } },
+    rotatingFrame: file.rotatingFrame === true
+  };
+}
+
+// Ropes down to the top of a ball: from each of its anchors at the pivot's x, or from its parent ball
+function describeRopes(ball, index, anchors) {
+  const end = { x: ball.position.x, y: ball.position.y + ball.radius, z: ball.position.z };
+  if (ball.parent !== undefined) {
+    return [{ name: `string_${index}`, ball: index, parentBall: ball.parent, start: { ...ball.pivot }, end }];
+  }
+  
+  return anchors.map(anchor => ({
+    name: anchors.length > 1 ? `string_${index}_${anchor.name}` : `string_${index}`,
+    ball: index,
+    frame: anchor.frame,
+    start: { x: ball.pivot.x, y: anchor.y, z: anchor.z },
+    end: { ...end }
+  }));
+}
+
+// Write a cradle description out as a scene file, with the current rope, camera and lighting settings
+export function createSceneFile(description, name) {
+  // One anchor per distinct rope start on the frame, named after its frame part
+  const anchors = [];
+  const anchorOf = string => {
+    let anchor = anchors.find(({ frame, y, z }) => frame === string.frame && y === string.start.y && z === string.start.z);
+    if (!anchor) {
+      const taken = anchors.filter(({ frame }) => frame === string.frame).length;
+      anchor = { name: taken > 0 ? `${string.frame}_${taken + 1}` : string.frame, frame: string.frame, y: string.start.y, z: string.start.z };
+      anchors.push(anchor);
+    }
+    return anchor.name;
+  };
+  
+  const pendulums = [];
+  const pendulumOf = [];
+  const materials = {};
+  description.balls.forEach((ball, index) => {
+    const preset = ball.customMaterial || ballMaterialPresets[ball.material];
+    if (ball.customMaterial) {
+      materials[ball.material] = ball.customMaterial;
+    }
+    const rope = Math.round((ball.pivot.y - ball.position.y - ball.radius) * ROPE_PRECISION) / ROPE_PRECISION;
+    const entry = { rope, radius: ball.radius, shape: ball.shape || 'sphere' };
+    if (ball.material) {
+      entry.material = ball.material;
+    }
+    BALL_FILE_OVERRIDES.forEach(key => {
+      if (ball[key] !== undefined && ball[key] !== null && !(preset && preset.physics[key] === ball[key])) {
+        entry[key] = ball[key];
+      }
+    });
+    
+    if (ball.parent !== undefined) {
+      pendulumOf[index] = pendulumOf[ball.parent];
+      pendulumOf[index].balls.push(entry);
+      return;
+    }
+    
+    const pendulum = {
+      pivot: { ...ball.pivot },
+      anchors: description.strings.filter(string => string.ball === index && string.frame).map(anchorOf),
+      balls: [entry]
+    };
+    if (ball.swing === 'spherical') {
+      pendulum.swing = 'spherical';
+    }
+    if (ball.linearDamping !== undefined) {
+      pendulum.damping = ball.linearDamping;
+    }
+    pendulumOf[index] = pendulum;
+    pendulums.push(pendulum);
+  });
+  
+  const { position, target, fov } = sceneConfig.camera;
+  return {
+    version: SCENE_FILE_VERSION,
+    ...(name && { name }),
+    frame: description.frames.map(({ name: part, size, position: at }) => ({ name: part, size: { ...size }, position: { ...at } })),
+    floor: { size: { ...description.floor.size }, position: { ...description.floor.position } },
+    anchors,
+    pendulums,
+    ...(Object.keys(materials).length > 0 && { materials }),
+    ...(description.springs && description.springs.length > 0 && {
+      springs: description.springs.map(({ balls, stiffness }) => ({ balls: [...balls], stiffness }))
+    }),
+    ...(description.rotatingFrame && { rotatingFrame: true }),
+    ropes: { ...physicsConfig.string },
+    camera: { position: { ...position }, target: { ...target }, fov },
+    lighting: { ...sceneConfig.lighting, position: { ...sceneConfig.lighting.position } }
+  };
+}
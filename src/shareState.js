@@ -0,0 +1,122 @@
+// shareState.js - Shareable links: the settings, camera pose and optionally the world's exact state,
+// compressed into the URL hash, e.g. #state=z<base64url>. Opening the link reproduces the view.
+import { sceneConfig, mergeConfig } from './config/index.js';
+import { getSettings, applySettings } from './config/presets.js';
+
+// Version of the shared state, bumped when its layout changes
+export const SHARE_STATE_VERSION = 1;
+
+const HASH_KEY = 'state';
+
+// Leading character of the encoded state: deflate compressed, or plain JSON where the browser
+// can't compress
+const COMPRESSED = 'z';
+const UNCOMPRESSED = 'j';
+
+const COMPRESSION_FORMAT = 'deflate-raw';
+
+// Bytes per String.fromCharCode call, large snapshots would overflow the argument list
+const BASE64_CHUNK_SIZE = 0x8000;
+
+const canCompress = () => typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function compress(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream(COMPRESSION_FORMAT));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function decompress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(COMPRESSION_FORMAT));
+  return new Response(stream).text();
+}
+
+const toPoint = vector => ({ x: vector.x, y: vector.y, z: vector.z });
+
+// Encode the current settings, the camera pose (position and orbit target) and an optional world
+// snapshot (see snapshotWorld) as a URL hash
+export async function createShareHash({ camera, target, snapshot = null }) {
+  const state = {
+    version: SHARE_STATE_VERSION,
+    settings: getSettings(),
+    camera: { position: toPoint(camera.position), target: toPoint(target), fov: camera.fov }
+  };
+  if (snapshot) {
+    state.snapshot = snapshot;
+  }
+  
+  const text = JSON.stringify(state);
+  const encoded = canCompress() ?
+    COMPRESSED + toBase64Url(await compress(text)) :
+    UNCOMPRESSED + toBase64Url(new TextEncoder().encode(text));
+  return `#${HASH_KEY}=${encoded}`;
+}
+
+// Decode a URL hash made by createShareHash, resolves to { settings, camera, snapshot }, or null if
+// the hash holds no shared state. Throws if it does but can't be read.
+export async function readShareHash(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (!encoded) return null;
+  
+  let state;
+  try {
+    const bytes = fromBase64Url(encoded.slice(1));
+    if (encoded[0] === COMPRESSED) {
+      if (!canCompress()) {
+        throw new Error("this browser can't decompress it");
+      }
+      state = JSON.parse(await decompress(bytes));
+    } else if (encoded[0] === UNCOMPRESSED) {
+      state = JSON.parse(new TextDecoder().decode(bytes));
+    } else {
+      throw new Error(`unknown encoding "${encoded[0]}"`);
+    }
+  } catch (error) {
+    throw new Error(`Could not read the shared link: ${error.message}`);
+  }
+  
+  const errors = validateShareState(state);
+  if (errors.length > 0) {
+    throw new Error(`Invalid shared link:\n  ${errors.join('\n  ')}`);
+  }
+  return { settings: state.settings, camera: state.camera, snapshot: state.snapshot || null };
+}
+
+function validateShareState(state) {
+  if (!state || typeof state !== 'object') {
+    return ['state: expected a JSON object'];
+  }
+  if (state.version !== SHARE_STATE_VERSION) {
+    return [`version: ${JSON.stringify(state.version)} is not supported, this app reads version ${SHARE_STATE_VERSION}`];
+  }
+  
+  const errors = [];
+  const isPoint = point => point && ['x', 'y', 'z'].every(axis => Number.isFinite(point[axis]));
+  if (!state.camera || !isPoint(state.camera.position) || !isPoint(state.camera.target) ||
+      !Number.isFinite(state.camera.fov)) {
+    errors.push('camera: expected { position, target, fov }');
+  }
+  if (state.snapshot !== undefined && (!state.snapshot || typeof state.snapshot !== 'object')) {
+    errors.push('snapshot: expected an object');
+  }
+  return errors;
+}
+
+// Take over shared settings and camera pose, before the scene and cradle are created from them.
+// Throws if the settings are invalid, leaving the current ones as they are.
+export function applyShareState({ settings, camera }) {
+  applySettings(settings);
+  mergeConfig(sceneConfig.camera, camera);
+}
@@ -0,0 +1,147 @@
+// charts.js - Lightweight canvas charts for the console's Analysis tab
+
+// Colors used for one line or trajectory per ball
+export const SERIES_COLORS = ['#2196F3', '#f44336', '#4CAF50', '#FF9800', '#9C27B0', '#00BCD4', '#795548', '#E91E63', '#607D8B', '#CDDC39'];
+
+const PADDING = { top: 20, right: 10, bottom: 18, left: 48 };
+
+// Resize the canvas backing store to its CSS size and return a cleared 2D context
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+  context.font = '11px Arial, sans-serif';
+  return context;
+}
+
+// Expand a value range so flat or empty data still gets a visible axis
+function paddedRange(min, max) {
+  if (!isFinite(min) || !isFinite(max)) return { min: -1, max: 1 };
+  if (max - min < 1e-9) return { min: min - 1, max: max + 1 };
+  const margin = (max - min) * 0.1;
+  return { min: min - margin, max: max + margin };
+}
+
+// Draw the plot frame, title and axis labels
+function drawAxes(context, width, height, title, yRange, xLabel) {
+  context.strokeStyle = '#ddd';
+  context.strokeRect(PADDING.left, PADDING.top, width - PADDING.left - PADDING.right, height - PADDING.top - PADDING.bottom);
+  
+  context.fillStyle = '#333';
+  context.textAlign = 'left';
+  context.fillText(title, PADDING.left, 12);
+  
+  context.fillStyle = '#666';
+  context.textAlign = 'right';
+  context.fillText(yRange.max.toPrecision(3), PADDING.left - 4, PADDING.top + 8);
+  context.fillText(yRange.min.toPrecision(3), PADDING.left - 4, height - PADDING.bottom);
+  
+  context.textAlign = 'center';
+  context.fillText(xLabel, (width + PADDING.left) / 2, height - 4);
+}
+
+// Scrolling line chart of values against simulated time
+export class TimeSeriesChart {
+  constructor(canvas, { title, windowSeconds = 10 }) {
+    this.canvas = canvas;
+    this.title = title;
+    this.windowSeconds = windowSeconds;
+  }
+
+  // lines: [{ label, color, points: [{ time, value }] }]
+  draw(lines) {
+    const context = prepareCanvas(this.canvas);
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    
+    const endTime = Math.max(0, ...lines.map(line => line.points.length ? line.points[line.points.length - 1].time : 0));
+    const startTime = Math.max(0, endTime - this.windowSeconds);
+    const visible = lines.map(line => ({ ...line, points: line.points.filter(point => point.time >= startTime) }));
+    
+    const values = visible.flatMap(line => line.points.map(point => point.value)).filter(isFinite);
+    const yRange = paddedRange(Math.min(...values), Math.max(...values));
+    drawAxes(context, width, height, this.title, yRange, `t = ${endTime.toFixed(1)} s`);
+    
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const toX = time => PADDING.left + ((time - startTime) / this.windowSeconds) * plotWidth;
+    const toY = value => PADDING.top + (1 - (value - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+    
+    visible.forEach((line, index) => {
+      context.strokeStyle = line.color;
+      context.lineWidth = 1.5;
+      context.beginPath();
+      line.points.forEach((point, i) => {
+        if (i === 0) {
+          context.moveTo(toX(point.time), toY(point.value));
+        } else {
+          context.lineTo(toX(point.time), toY(point.value));
+        }
+      });
+      context.stroke();
+      
+      // Legend
+      context.fillStyle = line.color;
+      context.textAlign = 'right';
+      context.fillText(line.label, width - PADDING.right - 4, PADDING.top + 12 + index * 12);
+    });
+  }
+}
+
+// Phase-space plot of one ball's angle (x) against its angular velocity (y)
+export class PhaseChart {
+  constructor(canvas, { title, color }) {
+    this.canvas = canvas;
+    this.title = title;
+    this.color = color;
+  }
+
+  // points: [{ x, y }], the most recent point is highlighted
+  draw(points) {
+    const context = prepareCanvas(this.canvas);
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    
+    // Symmetric ranges keep the origin (the rest state) centred
+    const xExtent = Math.max(1e-3, ...points.map(point => Math.abs(point.x)).filter(isFinite));
+    const yExtent = Math.max(1e-3, ...points.map(point => Math.abs(point.y)).filter(isFinite));
+    const xRange = paddedRange(-xExtent, xExtent);
+    const yRange = paddedRange(-yExtent, yExtent);
+    drawAxes(context, width, height, this.title, yRange, 'θ (°)');
+    
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const toX = x => PADDING.left + ((x - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+    const toY = y => PADDING.top + (1 - (y - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+    
+    context.strokeStyle = this.color;
+    context.globalAlpha = 0.6;
+    context.lineWidth = 1;
+    context.beginPath();
+    points.forEach((point, i) => {
+      if (i === 0) {
+        context.moveTo(toX(point.x), toY(point.y));
+      } else {
+        context.lineTo(toX(point.x), toY(point.y));
+      }
+    });
+    context.stroke();
+    context.globalAlpha = 1;
+    
+    const last = points[points.length - 1];
+    if (last) {
+      context.fillStyle = this.color;
+      context.beginPath();
+      context.arc(toX(last.x), toY(last.y), 3, 0, Math.PI * 2);
+      context.fill();
+    }
+  }
+}
@@ -1,16 +1,64 @@
 import { physicsConfig } from '../config/physics.js';
 import { sceneConfig } from '../config/scene.js';
 import { visualConfig } from '../config/visual.js';
+import { ballMaterialPresets, applyBallMaterialPreset } from '../config/materials.js';
+import {
+  builtInPresets,
+  applyBuiltInPreset,
+  getSavedPresets,
+  savePreset,
+  deletePreset,
+  applySavedPreset,
+  resetSettings,
+  exportSettings,
+  importSettings
+} from '../config/presets.js';
+import { TimeSeriesChart, PhaseChart, SERIES_COLORS } from './charts.js';
+import { getBallCount } from '../layout.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const BALL_SHAPES = [
+  { value: 'sphere', label: 'Sphere' },
+  { value: 'cylinder', label: 'Cylinder' },
+  { value: 'cube', label: 'Cube' },
+  { value: 'capsule', label: 'Capsule' }
+];
+
+// <option> tags for a select, the empty value stands for "use the shared setting"
+function renderOptions(options, selected, emptyLabel = null) {
+  const all = emptyLabel === null ? options : [{ value: '', label: emptyLabel }, ...options];
+  return all.map(({ value, label }) =>
+    `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+  ).join('');
+}
+
+const MATERIAL_OPTIONS = Object.entries(ballMaterialPresets).map(([value, { label }]) => ({ value, label }));
+
+const BUILT_IN_PRESET_OPTIONS = Object.entries(builtInPresets).map(([value, { label }]) => ({ value, label }));
+
+// Name of the file settings are exported to
+const SETTINGS_FILE_NAME = 'newton-pendulum-settings.json';
+
+// Whether a key event goes to a form field or editable text, where keyboard shortcuts must not fire
+export function isTypingTarget(target) {
+  return Boolean(target) && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+}
 
 export class UserConsole {
-  constructor(onSettingsChange, onRestart) {
+  constructor(onSettingsChange, onRestart, telemetry = null, onReleaseAll = null, onShareLink = null) {
     this.onSettingsChange = onSettingsChange;
     this.onRestart = onRestart;
+    this.telemetry = telemetry;
+    this.onReleaseAll = onReleaseAll;
+    this.onShareLink = onShareLink;
     this.isVisible = false;
+    this.activeTab = 'scene';
+    this.analysisFrame = null;
     this.createUI();
     this.setupEventListeners();
   }
-
+  
   createUI() {
     // Create main container
     this.container = document.createElement('div');
@@ -32,6 +80,8 @@ export class UserConsole {
       <button class="tab-btn active" data-tab="scene">Scene</button>
       <button class="tab-btn" data-tab="physics">Physics</button>
       <button class="tab-btn" data-tab="visual">Visual</button>
+      <button class="tab-btn" data-tab="analysis">Analysis</button>
+      <button class="tab-btn" data-tab="presets">Presets</button>
     `;
     
     // Create content sections
@@ -53,6 +103,16 @@ export class UserConsole {
     visualContent.className = 'tab-content';
     visualContent.dataset.tab = 'visual';
     
+    // Analysis charts
+    const analysisContent = this.createAnalysisPanel();
+    analysisContent.className = 'tab-content';
+    analysisContent.dataset.tab = 'analysis';
+    
+    // Saved and built-in settings
+    const presetsContent = this.createPresetsPanel();
+    presetsContent.className = 'tab-content';
+    presetsContent.dataset.tab = 'presets';
+    
     // Add restart button
     const restartBtn = document.createElement('button');
     restartBtn.className = 'restart-btn';
@@ -62,6 +122,8 @@ export class UserConsole {
     content.appendChild(sceneContent);
     content.appendChild(physicsContent);
     content.appendChild(visualContent);
+    content.appendChild(analysisContent);
+    content.appendChild(presetsContent);
     
     this.container.appendChild(header);
     this.container.appendChild(tabs);
@@ -70,19 +132,29 @@ export class UserConsole {
     
     document.body.appendChild(this.container);
   }
-
+  
   createSceneSettings() {
     const container = document.createElement('div');
     container.innerHTML = `
       <div class="setting-group">
         <h3>Cradle Settings</h3>
+        <div class="setting">
+          <label>Mode:</label>
+          <select data-setting="mode">
+            <option value="cradle" ${sceneConfig.mode === 'cradle' ? 'selected' : ''}>Newton's cradle</option>
+            <option value="wave" ${sceneConfig.mode === 'wave' ? 'selected' : ''}>Pendulum wave</option>
+            <option value="chaos" ${sceneConfig.mode === 'chaos' ? 'selected' : ''}>Chaotic pendulums</option>
+            <option value="foucault" ${sceneConfig.mode === 'foucault' ? 'selected' : ''}>Foucault pendulum</option>
+            <option value="coupled" ${sceneConfig.mode === 'coupled' ? 'selected' : ''}>Coupled pendulums</option>
+          </select>
+        </div>
         <div class="setting">
           <label>Number of Balls:</label>
           <input type="number" min="1" max="10" value="${sceneConfig.numBalls}" data-setting="numBalls">
         </div>
         <div class="setting">
           <label>Ball Spacing:</label>
-          <input type="range" min="0.8" max="2" step="0.1" value="${sceneConfig.ballSpacing}" data-setting="ballSpacing">
+          <input type="range" min="0" max="2" step="0.01" value="${sceneConfig.ballSpacing}" data-setting="ballSpacing">
         </div>
         <div class="setting">
           <label>Rope Length:</label>
@@ -92,6 +164,113 @@ export class UserConsole {
           <label>Ball Radius:</label>
           <input type="range" min="0.1" max="1" step="0.1" value="${sceneConfig.ballRadius}" data-setting="ballRadius">
         </div>
+        <div class="setting">
+          <label>Ball Shape:</label>
+          <select data-setting="ballShape">
+            ${renderOptions(BALL_SHAPES, sceneConfig.ballShape)}
+          </select>
+        </div>
+        <div class="setting">
+          <label>Suspension:</label>
+          <select data-setting="suspension.type">
+            <option value="single" ${sceneConfig.suspension.type === 'single' ? 'selected' : ''}>Single string</option>
+            <option value="bifilar" ${sceneConfig.suspension.type === 'bifilar' ? 'selected' : ''}>Bifilar (V-shaped)</option>
+          </select>
+        </div>
+        <div class="setting">
+          <label>Rail Separation:</label>
+          <input type="range" min="0.2" max="2" step="0.1" value="${sceneConfig.suspension.railSeparation}" data-setting="suspension.railSeparation">
+        </div>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Pendulum Wave</h3>
+        <div class="setting">
+          <label>Cycle Period (s):</label>
+          <input type="number" min="10" max="300" step="1" value="${sceneConfig.wave.cyclePeriod}" data-setting="wave.cyclePeriod">
+        </div>
+        <div class="setting">
+          <label>Oscillations per Cycle:</label>
+          <input type="number" min="5" max="100" step="1" value="${sceneConfig.wave.oscillations}" data-setting="wave.oscillations">
+        </div>
+        <div class="setting">
+          <label>Release Angle:</label>
+          <input type="range" min="1" max="45" step="1" value="${sceneConfig.wave.releaseAngle}" data-setting="wave.releaseAngle">
+        </div>
+        <div class="setting">
+          <label>Air Damping:</label>
+          <input type="range" min="0" max="0.5" step="0.01" value="${sceneConfig.wave.damping}" data-setting="wave.damping">
+        </div>
+        <button class="release-all-btn">Release All</button>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Chaotic Pendulums</h3>
+        <div class="setting">
+          <label>Links per Pendulum:</label>
+          <input type="number" min="1" max="5" step="1" value="${sceneConfig.chaos.links}" data-setting="chaos.links">
+        </div>
+        <div class="setting">
+          <label>Link Length:</label>
+          <input type="range" min="0.3" max="2" step="0.1" value="${sceneConfig.chaos.linkLength}" data-setting="chaos.linkLength">
+        </div>
+        <div class="setting">
+          <label>Release Angle:</label>
+          <input type="range" min="10" max="180" step="1" value="${sceneConfig.chaos.releaseAngle}" data-setting="chaos.releaseAngle">
+        </div>
+        <div class="setting">
+          <label>Angle Offset (°):</label>
+          <input type="number" min="0" max="1" step="0.0001" value="${sceneConfig.chaos.angleOffset}" data-setting="chaos.angleOffset">
+        </div>
+        <button class="sensitivity-demo-btn">Start Sensitivity Demo</button>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Foucault Pendulum</h3>
+        <div class="setting">
+          <label>Rope Length:</label>
+          <input type="range" min="2" max="10" step="0.5" value="${sceneConfig.foucault.ropeLength}" data-setting="foucault.ropeLength">
+        </div>
+        <div class="setting">
+          <label>Release Angle:</label>
+          <input type="range" min="1" max="30" step="1" value="${sceneConfig.foucault.releaseAngle}" data-setting="foucault.releaseAngle">
+        </div>
+        <div class="setting">
+          <label>Latitude (°):</label>
+          <input type="range" min="-90" max="90" step="0.5" value="${physicsConfig.earthRotation.latitude}" data-setting="earthRotation.latitude">
+        </div>
+        <div class="setting">
+          <label>Earth Rotation Speed-up:</label>
+          <input type="number" min="1" max="20000" step="100" value="${physicsConfig.earthRotation.scale}" data-setting="earthRotation.scale">
+        </div>
+        <button class="foucault-release-btn">Release Pendulum</button>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Coupled Pendulums</h3>
+        <div class="setting">
+          <label>Spring Stiffness (N/m):</label>
+          <input type="range" min="0.1" max="10" step="0.1" value="${sceneConfig.coupled.stiffness}" data-setting="coupled.stiffness">
+        </div>
+        <div class="setting">
+          <label>Spring Length:</label>
+          <input type="range" min="0.5" max="3" step="0.1" value="${sceneConfig.coupled.springLength}" data-setting="coupled.springLength">
+        </div>
+        <div class="setting">
+          <label>Release Angle:</label>
+          <input type="range" min="1" max="30" step="1" value="${sceneConfig.coupled.releaseAngle}" data-setting="coupled.releaseAngle">
+        </div>
+        <div class="setting">
+          <label>Air Damping:</label>
+          <input type="range" min="0" max="0.5" step="0.01" value="${sceneConfig.coupled.damping}" data-setting="coupled.damping">
+        </div>
+        <button class="coupled-release-btn">Release First Pendulum</button>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Individual Balls</h3>
+        <div class="ball-overrides"></div>
+        <button class="clear-overrides-btn">Clear Overrides</button>
       </div>
       
       <div class="setting-group">
@@ -106,9 +285,91 @@ export class UserConsole {
         </div>
       </div>
     `;
+    
+    this.ballOverrides = container.querySelector('.ball-overrides');
+    this.renderBallOverrides();
+    container.querySelector('.clear-overrides-btn').addEventListener('click', () => {
+      sceneConfig.balls.length = 0;
+      this.renderBallOverrides();
+      this.onSettingsChange();
+    });
     return container;
   }
-
+  
+  // One row of shape, material, mass, radius, restitution, friction and colour per ball, showing
+  // the shared settings where a ball has no override
+  renderBallOverrides() {
+    const toHex = color => `#${color.toString(16).padStart(6, '0')}`;
+    const rows = [];
+    for (let i = 0; i < getBallCount(); i++) {
+      const override = sceneConfig.balls[i] || {};
+      const value = (key, fallback) => override[key] ?? fallback;
+      rows.push(`
+        <div class="ball-override" data-ball="${i}">
+          <h4>Ball ${i + 1}</h4>
+          <div class="setting">
+            <label>Shape:</label>
+            <select data-ball-property="shape">
+              ${renderOptions(BALL_SHAPES, override.shape || '', 'Shared')}
+            </select>
+          </div>
+          <div class="setting">
+            <label>Material:</label>
+            <select data-ball-property="material">
+              ${renderOptions(MATERIAL_OPTIONS, override.material || '', 'Shared')}
+            </select>
+          </div>
+          <div class="setting">
+            <label>Mass:</label>
+            <input type="number" min="0.1" max="50" step="0.1" value="${value('mass', physicsConfig.ball.mass)}" data-ball-property="mass">
+          </div>
+          <div class="setting">
+            <label>Radius:</label>
+            <input type="range" min="0.1" max="1" step="0.05" value="${value('radius', sceneConfig.ballRadius)}" data-ball-property="radius">
+          </div>
+          <div class="setting">
+            <label>Restitution:</label>
+            <input type="range" min="0" max="1" step="0.01" value="${value('restitution', physicsConfig.ball.restitution)}" data-ball-property="restitution">
+          </div>
+          <div class="setting">
+            <label>Friction:</label>
+            <input type="range" min="0" max="1" step="0.01" value="${value('friction', physicsConfig.ball.friction)}" data-ball-property="friction">
+          </div>
+          <div class="setting">
+            <label>Color:</label>
+            <input type="color" value="${toHex(value('color', visualConfig.ballMaterial.color))}" data-ball-property="color">
+          </div>
+        </div>
+      `);
+    }
+    this.ballOverrides.innerHTML = rows.join('');
+    
+    this.ballOverrides.querySelectorAll('[data-ball-property]').forEach(input => {
+      input.addEventListener('change', () => {
+        const index = Number(input.closest('.ball-override').dataset.ball);
+        this.handleBallOverrideChange(index, input);
+      });
+    });
+  }
+  
+  handleBallOverrideChange(index, input) {
+    const property = input.dataset.ballProperty;
+    const override = { ...sceneConfig.balls[index] };
+    if (input.tagName === 'SELECT') {
+      if (input.value) {
+        override[property] = input.value;
+      } else {
+        delete override[property];
+      }
+    } else {
+      override[property] = input.type === 'color' ? parseInt(input.value.replace('#', ''), 16) : parseFloat(input.value);
+    }
+    sceneConfig.balls[index] = override;
+    
+    // Notify parent of changes
+    this.onSettingsChange();
+  }
+  
   createPhysicsSettings() {
     const container = document.createElement('div');
     container.innerHTML = `
@@ -150,6 +411,14 @@ export class UserConsole {
       
       <div class="setting-group">
         <h3>String Settings</h3>
+        <div class="setting">
+          <label>Type:</label>
+          <select data-setting="string.type">
+            <option value="softBody" ${physicsConfig.string.type === 'softBody' ? 'selected' : ''}>Soft body rope</option>
+            <option value="chain" ${physicsConfig.string.type === 'chain' ? 'selected' : ''}>Capsule chain</option>
+            <option value="hinge" ${physicsConfig.string.type === 'hinge' ? 'selected' : ''}>Hinge</option>
+          </select>
+        </div>
         <div class="setting">
           <label>Segments:</label>
           <input type="number" min="4" max="16" value="${physicsConfig.string.segments}" data-setting="string.segments">
@@ -178,10 +447,6 @@ export class UserConsole {
       
       <div class="setting-group">
         <h3>Soft Body Settings</h3>
-        <div class="setting">
-          <label>Enabled:</label>
-          <input type="checkbox" ${physicsConfig.softBody.enabled ? 'checked' : ''} data-setting="softBody.enabled">
-        </div>
         <div class="setting">
           <label>Segments per String:</label>
           <input type="number" min="4" max="16" value="${physicsConfig.softBody.segmentsPerString}" data-setting="softBody.segmentsPerString">
@@ -194,6 +459,10 @@ export class UserConsole {
           <label>Damping:</label>
           <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.damping}" data-setting="softBody.damping">
         </div>
+        <div class="setting">
+          <label>Drag:</label>
+          <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.drag}" data-setting="softBody.drag">
+        </div>
         <div class="setting">
           <label>Lift:</label>
           <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.lift}" data-setting="softBody.lift">
@@ -214,6 +483,14 @@ export class UserConsole {
           <label>Pose Matching:</label>
           <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.poseMatching}" data-setting="softBody.poseMatching">
         </div>
+        <div class="setting">
+          <label>Linear Stiffness:</label>
+          <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.linearStiffness}" data-setting="softBody.linearStiffness">
+        </div>
+        <div class="setting">
+          <label>Angular Stiffness:</label>
+          <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.angularStiffness}" data-setting="softBody.angularStiffness">
+        </div>
         <div class="setting">
           <label>Contact Hardness:</label>
           <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.softBody.contactHardness}" data-setting="softBody.contactHardness">
@@ -230,16 +507,38 @@ export class UserConsole {
           <label>Max Volume:</label>
           <input type="range" min="0" max="2" step="0.01" value="${physicsConfig.softBody.maxVolume}" data-setting="softBody.maxVolume">
         </div>
+        <div class="setting">
+          <label>Position Iterations:</label>
+          <input type="number" min="1" max="100" value="${physicsConfig.softBody.positionIterations}" data-setting="softBody.positionIterations">
+        </div>
+        <div class="setting">
+          <label>Velocity Iterations:</label>
+          <input type="number" min="0" max="50" value="${physicsConfig.softBody.velocityIterations}" data-setting="softBody.velocityIterations">
+        </div>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Ideal Reference</h3>
+        <div class="setting">
+          <label>Restitution:</label>
+          <input type="range" min="0" max="1" step="0.01" value="${physicsConfig.reference.restitution}" data-setting="reference.restitution">
+        </div>
       </div>
     `;
     return container;
   }
-
+  
   createVisualSettings() {
     const container = document.createElement('div');
     container.innerHTML = `
       <div class="setting-group">
         <h3>Ball Material</h3>
+        <div class="setting">
+          <label>Preset:</label>
+          <select class="ball-material-preset">
+            ${renderOptions(MATERIAL_OPTIONS, '', 'Custom')}
+          </select>
+        </div>
         <div class="setting">
           <label>Color:</label>
           <input type="color" value="#${visualConfig.ballMaterial.color.toString(16).padStart(6, '0')}" data-setting="ballMaterial.color">
@@ -282,6 +581,22 @@ export class UserConsole {
         </div>
       </div>
       
+      <div class="setting-group">
+        <h3>Reference Ghosts</h3>
+        <div class="setting">
+          <label>Show:</label>
+          <input type="checkbox" ${visualConfig.referenceGhosts.enabled ? 'checked' : ''} data-setting="referenceGhosts.enabled">
+        </div>
+        <div class="setting">
+          <label>Color:</label>
+          <input type="color" value="#${visualConfig.referenceGhosts.color.toString(16).padStart(6, '0')}" data-setting="referenceGhosts.color">
+        </div>
+        <div class="setting">
+          <label>Opacity:</label>
+          <input type="range" min="0" max="1" step="0.01" value="${visualConfig.referenceGhosts.opacity}" data-setting="referenceGhosts.opacity">
+        </div>
+      </div>
+      
       <div class="setting-group">
         <h3>Background</h3>
         <div class="setting">
@@ -308,10 +623,315 @@ export class UserConsole {
     `;
     return container;
   }
-
+  
+  createPresetsPanel() {
+    const container = document.createElement('div');
+    container.innerHTML = `
+      <div class="setting-group">
+        <h3>Built-in Presets</h3>
+        <div class="setting">
+          <label>Preset:</label>
+          <select class="built-in-preset">
+            ${renderOptions(BUILT_IN_PRESET_OPTIONS, '')}
+          </select>
+        </div>
+        <button class="preset-btn load-built-in-btn">Load</button>
+      </div>
+      
+      <div class="setting-group">
+        <h3>My Presets</h3>
+        <div class="setting">
+          <label>Preset:</label>
+          <select class="saved-preset"></select>
+        </div>
+        <button class="preset-btn load-saved-btn">Load</button>
+        <button class="preset-btn delete-saved-btn">Delete</button>
+        <div class="setting">
+          <label>Save current as:</label>
+          <input type="text" class="preset-name" placeholder="Preset name">
+        </div>
+        <button class="preset-btn save-preset-btn">Save</button>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Settings File</h3>
+        <button class="preset-btn export-settings-btn">Export</button>
+        <button class="preset-btn import-settings-btn">Import</button>
+        <input type="file" class="import-settings-file" accept=".json,application/json" hidden>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Share</h3>
+        <div class="setting">
+          <label>Include current motion:</label>
+          <input type="checkbox" class="share-snapshot">
+        </div>
+        <button class="preset-btn share-link-btn">Copy Link</button>
+        <input type="text" class="share-link" readonly hidden>
+      </div>
+      
+      <div class="setting-group">
+        <button class="preset-btn reset-settings-btn">Reset to Defaults</button>
+        <div class="preset-status"></div>
+      </div>
+    `;
+    this.renderSavedPresets(container);
+    return container;
+  }
+  
+  // Options for every preset saved in localStorage, keeping the selected one if it still exists
+  renderSavedPresets(container = this.container) {
+    const select = container.querySelector('.saved-preset');
+    const selected = select.value;
+    const options = Object.keys(getSavedPresets()).map(name => ({ value: name, label: name }));
+    select.innerHTML = options.length > 0 ?
+      renderOptions(options, selected) :
+      '<option value="" disabled selected>No saved presets</option>';
+  }
+  
+  showPresetStatus(message, isError = false) {
+    const status = this.container.querySelector('.preset-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+  
+  // Apply settings with the given function, then show them and rebuild the cradle with them
+  applyPreset(apply, description) {
+    try {
+      if (apply() === false) {
+        this.showPresetStatus(`Could not load ${description}.`, true);
+        return;
+      }
+    } catch (error) {
+      console.error("Error applying settings:", error);
+      this.showPresetStatus(error.message, true);
+      return;
+    }
+    
+    this.container.querySelector('.ball-material-preset').value = '';
+    this.syncInputs();
+    this.renderBallOverrides();
+    this.showPresetStatus(`Loaded ${description}.`);
+    this.onRestart();
+  }
+  
+  // Download the current settings as a JSON file
+  exportSettingsFile() {
+    const blob = new Blob([exportSettings()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = SETTINGS_FILE_NAME;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+  
+  setupPresetListeners() {
+    const builtInSelect = this.container.querySelector('.built-in-preset');
+    this.container.querySelector('.load-built-in-btn').addEventListener('click', () => {
+      const preset = builtInPresets[builtInSelect.value];
+      this.applyPreset(() => applyBuiltInPreset(builtInSelect.value), `"${preset ? preset.label : builtInSelect.value}"`);
+    });
+    
+    const savedSelect = this.container.querySelector('.saved-preset');
+    this.container.querySelector('.load-saved-btn').addEventListener('click', () => {
+      if (!savedSelect.value) return;
+      this.applyPreset(() => applySavedPreset(savedSelect.value), `"${savedSelect.value}"`);
+    });
+    
+    this.container.querySelector('.delete-saved-btn').addEventListener('click', () => {
+      const name = savedSelect.value;
+      if (!name) return;
+      if (deletePreset(name)) {
+        this.renderSavedPresets();
+        this.showPresetStatus(`Deleted "${name}".`);
+      } else {
+        this.showPresetStatus(`Could not delete "${name}".`, true);
+      }
+    });
+    
+    const nameInput = this.container.querySelector('.preset-name');
+    this.container.querySelector('.save-preset-btn').addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        this.showPresetStatus('Enter a name for the preset.', true);
+        return;
+      }
+      if (savePreset(name)) {
+        this.renderSavedPresets();
+        savedSelect.value = name;
+        nameInput.value = '';
+        this.showPresetStatus(`Saved "${name}".`);
+      } else {
+        this.showPresetStatus(`Could not save "${name}", the browser's storage may be full or turned off.`, true);
+      }
+    });
+    
+    this.container.querySelector('.export-settings-btn').addEventListener('click', () => {
+      this.exportSettingsFile();
+    });
+    
+    // The hidden file input does the picking, its change reads the chosen file
+    const fileInput = this.container.querySelector('.import-settings-file');
+    this.container.querySelector('.import-settings-btn').addEventListener('click', () => {
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      const text = await file.text();
+      this.applyPreset(() => importSettings(text), `settings from ${file.name}`);
+    });
+    
+    this.container.querySelector('.reset-settings-btn').addEventListener('click', () => {
+      this.applyPreset(resetSettings, 'the default settings');
+    });
+    
+    const linkInput = this.container.querySelector('.share-link');
+    linkInput.addEventListener('focus', () => linkInput.select());
+    this.container.querySelector('.share-link-btn').addEventListener('click', async () => {
+      if (!this.onShareLink) return;
+      try {
+        const link = await this.onShareLink(this.container.querySelector('.share-snapshot').checked);
+        linkInput.value = link;
+        linkInput.hidden = false;
+        // The clipboard can be unavailable, e.g. outside a secure context, the link stays selectable
+        try {
+          await navigator.clipboard.writeText(link);
+          this.showPresetStatus(`Link copied (${link.length} characters).`);
+        } catch (error) {
+          console.error("Error copying link:", error);
+          this.showPresetStatus('Copy the link above to share it.');
+        }
+      } catch (error) {
+        console.error("Error creating share link:", error);
+        this.showPresetStatus(error.message, true);
+      }
+    });
+  }
+  
+  createAnalysisPanel() {
+    const container = document.createElement('div');
+    container.innerHTML = `
+      <div class="setting-group">
+        <h3>Energy &amp; Momentum</h3>
+        <canvas class="chart-canvas" data-chart="energy"></canvas>
+        <canvas class="chart-canvas" data-chart="momentum"></canvas>
+        <canvas class="chart-canvas" data-chart="velocity"></canvas>
+        <canvas class="chart-canvas" data-chart="ballEnergy"></canvas>
+        <canvas class="chart-canvas" data-chart="divergence"></canvas>
+        <canvas class="chart-canvas" data-chart="sensitivity"></canvas>
+      </div>
+      
+      <div class="setting-group">
+        <h3>Phase Space</h3>
+        <div class="phase-grid"></div>
+      </div>
+    `;
+    
+    this.charts = {
+      energy: new TimeSeriesChart(container.querySelector('[data-chart="energy"]'), { title: 'Energy (J)' }),
+      momentum: new TimeSeriesChart(container.querySelector('[data-chart="momentum"]'), { title: 'Linear momentum (kg·m/s)' }),
+      velocity: new TimeSeriesChart(container.querySelector('[data-chart="velocity"]'), { title: 'Ball velocity x (m/s)' }),
+      ballEnergy: new TimeSeriesChart(container.querySelector('[data-chart="ballEnergy"]'), { title: 'Energy per ball (J)' }),
+      divergence: new TimeSeriesChart(container.querySelector('[data-chart="divergence"]'), { title: 'Distance from ideal cradle (m)' }),
+      sensitivity: new TimeSeriesChart(container.querySelector('[data-chart="sensitivity"]'), { title: 'log₁₀ angle distance from pendulum 1 (rad)' })
+    };
+    this.phaseGrid = container.querySelector('.phase-grid');
+    this.phaseCharts = [];
+    return container;
+  }
+  
+  // Keep one phase-space chart per ball in the latest sample
+  updatePhaseCharts(numBalls) {
+    if (this.phaseCharts.length === numBalls) return;
+    
+    this.phaseGrid.innerHTML = '';
+    this.phaseCharts = [];
+    for (let i = 0; i < numBalls; i++) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'chart-canvas phase-canvas';
+      this.phaseGrid.appendChild(canvas);
+      this.phaseCharts.push(new PhaseChart(canvas, {
+        title: `Ball ${i + 1}: ω (°/s)`,
+        color: SERIES_COLORS[i % SERIES_COLORS.length]
+      }));
+    }
+  }
+  
+  drawAnalysis() {
+    const samples = this.telemetry ? this.telemetry.getSamples() : [];
+    const series = (label, color, select) => ({
+      label,
+      color,
+      points: samples.map(sample => ({ time: sample.time, value: select(sample) }))
+    });
+    
+    this.charts.energy.draw([
+      series('total', '#333', sample => sample.total),
+      series('kinetic', SERIES_COLORS[1], sample => sample.ballKinetic + sample.ropeKinetic),
+      series('potential', SERIES_COLORS[0], sample => sample.ballPotential + sample.ropePotential + sample.springPotential)
+    ]);
+    this.charts.momentum.draw([
+      series('|p|', '#333', sample => sample.momentum.magnitude),
+      series('p x', SERIES_COLORS[2], sample => sample.momentum.x)
+    ]);
+    
+    const numBalls = samples.length ? samples[samples.length - 1].balls.length : 0;
+    const ballIndices = Array.from({ length: numBalls }, (_, i) => i);
+    this.charts.velocity.draw(ballIndices.map(i =>
+      series(`ball ${i + 1}`, SERIES_COLORS[i % SERIES_COLORS.length], sample => sample.balls[i]?.velocity.x)
+    ));
+    
+    // Coupled pendulums pass their energy back and forth, it beats between the balls
+    this.charts.ballEnergy.draw(ballIndices.map(i =>
+      series(`ball ${i + 1}`, SERIES_COLORS[i % SERIES_COLORS.length],
+        sample => sample.balls[i] && sample.balls[i].kinetic + sample.balls[i].potential)
+    ));
+    this.charts.divergence.draw(ballIndices.map(i =>
+      series(`ball ${i + 1}`, SERIES_COLORS[i % SERIES_COLORS.length], sample => sample.balls[i]?.divergence)
+    ));
+    
+    // Chaotic pendulums on a log scale, where sensitivity to the start shows as a straight rise
+    const numPendulums = samples.length ? samples[samples.length - 1].pendulumDivergence.length : 0;
+    this.charts.sensitivity.draw(Array.from({ length: Math.max(numPendulums - 1, 0) }, (_, k) => {
+      const line = series(`pendulum ${k + 2}`, SERIES_COLORS[(k + 1) % SERIES_COLORS.length],
+        sample => Math.log10(sample.pendulumDivergence[k + 1]));
+      return { ...line, points: line.points.filter(point => isFinite(point.value)) };
+    }));
+    
+    this.updatePhaseCharts(numBalls);
+    this.phaseCharts.forEach((chart, i) => {
+      chart.draw(samples
+        .filter(sample => sample.balls[i])
+        .map(sample => ({
+          x: sample.balls[i].angle * RAD_TO_DEG,
+          y: sample.balls[i].angularVelocity * RAD_TO_DEG
+        })));
+    });
+  }
+  
+  // Redraw the charts every animation frame while the Analysis tab is showing
+  updateAnalysisLoop() {
+    const shouldRun = this.isVisible && this.activeTab === 'analysis';
+    
+    if (shouldRun && this.analysisFrame === null) {
+      const render = () => {
+        this.drawAnalysis();
+        this.analysisFrame = requestAnimationFrame(render);
+      };
+      render();
+    } else if (!shouldRun && this.analysisFrame !== null) {
+      cancelAnimationFrame(this.analysisFrame);
+      this.analysisFrame = null;
+    }
+  }
+  
   setupEventListeners() {
     // Toggle console visibility with 'S' key
     document.addEventListener('keydown', (e) => {
+      if (isTypingTarget(e.target)) return;
       if (e.key.toLowerCase() === 's') {
         this.toggle();
       }
@@ -330,23 +950,68 @@ export class UserConsole {
     });
     
     // Settings changes
-    this.container.querySelectorAll('input').forEach(input => {
+    this.container.querySelectorAll('input[data-setting], select[data-setting]').forEach(input => {
       input.addEventListener('change', () => {
         this.handleSettingChange(input);
       });
     });
     
+    // Save, load, import and export all settings at once
+    this.setupPresetListeners();
+    
+    // Material presets set look and physics of all balls at once, custom goes back to the mass setting
+    const presetSelect = this.container.querySelector('.ball-material-preset');
+    presetSelect.addEventListener('change', () => {
+      if (!presetSelect.value) {
+        physicsConfig.ball.density = null;
+      } else if (!applyBallMaterialPreset(presetSelect.value)) {
+        return;
+      }
+      this.syncInputs();
+      this.renderBallOverrides();
+      this.onSettingsChange();
+    });
+    
+    // Raise every pendulum to the release angle and let go
+    this.container.querySelector('.release-all-btn').addEventListener('click', () => {
+      if (this.onReleaseAll) {
+        this.onReleaseAll(sceneConfig.wave.releaseAngle);
+      }
+    });
+    
+    // Release the chaotic pendulums a tiny angle apart, the Analysis tab shows them drift apart
+    this.container.querySelector('.sensitivity-demo-btn').addEventListener('click', () => {
+      if (this.onReleaseAll) {
+        this.onReleaseAll(sceneConfig.chaos.releaseAngle, sceneConfig.chaos.angleOffset);
+      }
+    });
+    
+    // Release the Foucault pendulum, its trace on the floor starts afresh
+    this.container.querySelector('.foucault-release-btn').addEventListener('click', () => {
+      if (this.onReleaseAll) {
+        this.onReleaseAll(sceneConfig.foucault.releaseAngle);
+      }
+    });
+    
+    // Swing only the first coupled pendulum, the Analysis tab shows its energy move along the row
+    this.container.querySelector('.coupled-release-btn').addEventListener('click', () => {
+      if (this.onReleaseAll) {
+        this.onReleaseAll(sceneConfig.coupled.releaseAngle, 0, 1);
+      }
+    });
+    
     // Restart button
     this.container.querySelector('.restart-btn').addEventListener('click', () => {
       this.onRestart();
     });
   }
-
+  
   toggle() {
     this.isVisible = !this.isVisible;
     this.container.style.display = this.isVisible ? 'block' : 'none';
+    this.updateAnalysisLoop();
   }
-
+  
   switchTab(tabName) {
     // Remove active class from all tabs and content
     this.container.querySelectorAll('.tab-btn').forEach(btn => {
@@ -362,13 +1027,17 @@ export class UserConsole {
     if (selectedTab && selectedContent) {
       selectedTab.classList.add('active');
       selectedContent.classList.add('active');
+      this.activeTab = tabName;
     }
+    
+    this.updateAnalysisLoop();
   }
-
+  
   handleSettingChange(input) {
     const setting = input.dataset.setting;
     let value = input.type === 'checkbox' ? input.checked : 
                 input.type === 'color' ? parseInt(input.value.replace('#', ''), 16) :
+                input.tagName === 'SELECT' ? input.value :
                 parseFloat(input.value);
     
     // Handle nested properties (e.g., "animation.speed")
@@ -380,43 +1049,79 @@ export class UserConsole {
       this.updateConfigValue(setting, null, value);
     }
   }
-
+  
+  // Config object a nested setting category lives in
+  getConfigObject(category) {
+    const objects = {
+      animation: sceneConfig.animation,
+      ballMaterial: visualConfig.ballMaterial,
+      frameMaterial: visualConfig.frameMaterial,
+      stringMaterial: visualConfig.stringMaterial,
+      background: visualConfig.background,
+      shadows: visualConfig.shadows,
+      frame: sceneConfig.frame,
+      suspension: sceneConfig.suspension,
+      wave: sceneConfig.wave,
+      chaos: sceneConfig.chaos,
+      foucault: sceneConfig.foucault,
+      coupled: sceneConfig.coupled,
+      camera: sceneConfig.camera,
+      lighting: sceneConfig.lighting,
+      ball: physicsConfig.ball,
+      string: physicsConfig.string,
+      softBody: physicsConfig.softBody,
+      earthRotation: physicsConfig.earthRotation,
+      reference: physicsConfig.reference,
+      referenceGhosts: visualConfig.referenceGhosts
+    };
+    return objects[category];
+  }
+  
+  // Config object holding a top-level setting
+  getTopLevelConfig(setting) {
+    return [sceneConfig, physicsConfig, visualConfig].find(config => config[setting] !== undefined);
+  }
+  
   updateConfigValue(category, property, value) {
     // Handle nested properties
     if (property) {
-      if (category === 'animation') {
-        sceneConfig.animation[property] = value;
-      } else if (category === 'ballMaterial') {
-        visualConfig.ballMaterial[property] = value;
-      } else if (category === 'frameMaterial') {
-        visualConfig.frameMaterial[property] = value;
-      } else if (category === 'background') {
-        visualConfig.background[property] = value;
-      } else if (category === 'frame') {
-        sceneConfig.frame[property] = value;
-      } else if (category === 'camera') {
-        sceneConfig.camera[property] = value;
-      } else if (category === 'lighting') {
-        sceneConfig.lighting[property] = value;
-      } else if (category === 'ball') {
-        physicsConfig.ball[property] = value;
-      } else if (category === 'string') {
-        physicsConfig.string[property] = value;
-      } else if (category === 'softBody') {
-        physicsConfig.softBody[property] = value;
+      const config = this.getConfigObject(category);
+      if (config) {
+        config[property] = value;
+        if (category === 'chaos' && property === 'links') {
+          this.renderBallOverrides();
+        }
       }
     } else {
       // Handle top-level properties
-      if (sceneConfig[category] !== undefined) {
-        sceneConfig[category] = value;
-      } else if (physicsConfig[category] !== undefined) {
-        physicsConfig[category] = value;
-      } else if (visualConfig[category] !== undefined) {
-        visualConfig[category] = value;
+      const config = this.getTopLevelConfig(category);
+      if (config) {
+        config[category] = value;
+        if (category === 'numBalls' || category === 'mode') {
+          this.renderBallOverrides();
+        }
       }
     }
     
     // Notify parent of changes
     this.onSettingsChange();
   }
-} 
\ No newline at end of file
+  
+  // Show the current config values in all setting inputs, after the config changed elsewhere
+  syncInputs() {
+    this.container.querySelectorAll('input[data-setting], select[data-setting]').forEach(input => {
+      const [category, property] = input.dataset.setting.split('.');
+      const config = property ? this.getConfigObject(category) : this.getTopLevelConfig(category);
+      const value = config && config[property || category];
+      if (value === undefined || value === null) return;
+      
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else if (input.type === 'color') {
+        input.value = `#${value.toString(16).padStart(6, '0')}`;
+      } else {
+        input.value = value;
+      }
+    });
+  }
+}
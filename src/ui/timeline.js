@@ -0,0 +1,153 @@
+// timeline.js - Record / replay bar with a timeline scrubber
+import {
+  getRecording,
+  isRecording,
+  startRecording,
+  stopRecording
+} from '../physics/index.js';
+import {
+  startReplay,
+  stopReplay,
+  isReplaying,
+  isReplayPlaying,
+  setReplayPlaying,
+  getReplaySpeed,
+  setReplaySpeed,
+  getReplayTime,
+  seekReplay
+} from '../replay.js';
+
+const SPEEDS = [-2, -1, -0.5, -0.25, 0.25, 0.5, 1, 2];
+const SLIDER_STEPS = 1000;
+
+// Shown at the bottom of the page, replay speed can be negative to play backwards
+export class ReplayTimeline {
+  constructor() {
+    this.markersKey = null;
+    this.createUI();
+    this.setupEventListeners();
+    this.update();
+  }
+
+  createUI() {
+    this.container = document.createElement('div');
+    this.container.className = 'replay-timeline';
+    this.container.innerHTML = `
+      <button class="timeline-btn" data-action="record">● Record</button>
+      <button class="timeline-btn" data-action="replay">Replay</button>
+      <button class="timeline-btn" data-action="play">❚❚</button>
+      <select class="timeline-speed">
+        ${SPEEDS.map(speed => `<option value="${speed}" ${speed === getReplaySpeed() ? 'selected' : ''}>${speed}×</option>`).join('')}
+      </select>
+      <div class="timeline-track">
+        <canvas class="timeline-markers"></canvas>
+        <input type="range" class="timeline-slider" min="0" max="${SLIDER_STEPS}" value="0">
+      </div>
+      <span class="timeline-time">0.00 s</span>
+    `;
+    
+    this.recordBtn = this.container.querySelector('[data-action="record"]');
+    this.replayBtn = this.container.querySelector('[data-action="replay"]');
+    this.playBtn = this.container.querySelector('[data-action="play"]');
+    this.speedSelect = this.container.querySelector('.timeline-speed');
+    this.slider = this.container.querySelector('.timeline-slider');
+    this.markers = this.container.querySelector('.timeline-markers');
+    this.timeLabel = this.container.querySelector('.timeline-time');
+    
+    document.body.appendChild(this.container);
+  }
+
+  setupEventListeners() {
+    this.recordBtn.addEventListener('click', () => {
+      if (isRecording()) {
+        stopRecording();
+      } else {
+        stopReplay();
+        startRecording();
+      }
+      this.update();
+    });
+    
+    this.replayBtn.addEventListener('click', () => {
+      if (isReplaying()) {
+        stopReplay();
+      } else {
+        // Replay what has been recorded so far
+        stopRecording();
+        startReplay();
+      }
+      this.update();
+    });
+    
+    this.playBtn.addEventListener('click', () => {
+      setReplayPlaying(!isReplayPlaying());
+      this.update();
+    });
+    
+    this.speedSelect.addEventListener('change', () => {
+      setReplaySpeed(parseFloat(this.speedSelect.value));
+    });
+    
+    // Scrubbing pauses playback
+    this.slider.addEventListener('input', () => {
+      const recording = getRecording();
+      const start = recording.getStartTime();
+      const duration = recording.getEndTime() - start;
+      setReplayPlaying(false);
+      seekReplay(start + duration * this.slider.value / SLIDER_STEPS);
+      this.update();
+    });
+  }
+
+  // Refresh buttons, scrubber and time, call once per animation frame
+  update() {
+    const recording = getRecording();
+    const replaying = isReplaying();
+    const start = recording.getStartTime();
+    const duration = recording.getEndTime() - start;
+    
+    this.recordBtn.textContent = isRecording() ? '■ Stop' : '● Record';
+    this.recordBtn.classList.toggle('recording', isRecording());
+    this.replayBtn.textContent = replaying ? 'Live' : 'Replay';
+    this.replayBtn.disabled = !replaying && recording.isEmpty();
+    this.playBtn.textContent = isReplayPlaying() ? '❚❚' : '▶';
+    this.playBtn.disabled = !replaying;
+    this.speedSelect.disabled = !replaying;
+    this.slider.disabled = !replaying;
+    
+    if (replaying) {
+      const time = getReplayTime();
+      this.slider.value = duration > 0 ? Math.round((time - start) / duration * SLIDER_STEPS) : 0;
+      this.timeLabel.textContent = `${(time - start).toFixed(2)} / ${duration.toFixed(2)} s`;
+    } else {
+      this.slider.value = isRecording() ? SLIDER_STEPS : 0;
+      this.timeLabel.textContent = `${duration.toFixed(2)} s`;
+    }
+    
+    this.drawContactMarkers(recording, start, duration);
+  }
+
+  // Tick marks where recorded collisions began, redrawn only when they or the range change
+  drawContactMarkers(recording, start, duration) {
+    const contacts = recording.getContacts();
+    const key = `${contacts.length}:${start}:${duration}:${this.markers.clientWidth}`;
+    if (key === this.markersKey) return;
+    this.markersKey = key;
+    
+    const canvas = this.markers;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (duration <= 0) return;
+    
+    ctx.fillStyle = '#f44336';
+    contacts.filter(contact => contact.type === 'begin').forEach(contact => {
+      const x = Math.round((contact.time - start) / duration * (width - 1));
+      ctx.fillRect(x, 0, 1, height);
+    });
+  }
+}
@@ -0,0 +1,60 @@
+// snapshot.test.js - A restored world carries on like the one the snapshot was taken from
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAmmoFromDisk } from '../scripts/loadAmmo.js';
+import {
+  initSimulation,
+  advanceSimulation,
+  setInitialDisplacement,
+  snapshotWorld,
+  restoreWorld,
+  cleanupSimulation
+} from '../src/physics/simulation.js';
+import { createCradleDescription } from '../src/layout.js';
+import { physicsConfig } from '../src/config/physics.js';
+
+console.log = () => {};
+console.debug = () => {};
+
+const ammo = await loadAmmoFromDisk();
+
+// Start a new world with the first ball pulled back
+async function startCradle() {
+  cleanupSimulation();
+  await initSimulation(ammo, createCradleDescription());
+  setInitialDisplacement({ balls: [0], angleDeg: 30 });
+}
+
+// Whole steps, so neither run carries a part step over the snapshot
+function run(steps) {
+  for (let i = 0; i < steps; i++) {
+    advanceSimulation(physicsConfig.timeStep);
+  }
+}
+const ballPositions = () => snapshotWorld().balls.flatMap(ball => ball.position);
+const largestDifference = (a, b) => Math.max(...a.map((value, i) => Math.abs(value - b[i])));
+
+test('a snapshot restored into a new world runs on like the uninterrupted world', async () => {
+  await startCradle();
+  run(60);
+  const snapshot = JSON.parse(JSON.stringify(snapshotWorld()));
+  run(120);
+  const uninterrupted = ballPositions();
+  
+  cleanupSimulation();
+  await initSimulation(ammo, createCradleDescription());
+  restoreWorld(snapshot);
+  run(120);
+  
+  assert.ok(largestDifference(ballPositions(), uninterrupted) < 1e-4);
+});
+
+test('a snapshot whose rope previous positions are the wrong length is rejected', async () => {
+  await startCradle();
+  const snapshot = snapshotWorld();
+  const before = ballPositions();
+  snapshot.ropes[0].previousPositions.pop();
+  
+  assert.throws(() => restoreWorld(snapshot), /rope 0/);
+  assert.deepEqual(ballPositions(), before);
+});
@@ -0,0 +1,27 @@
+// telemetry.test.js - Energy drift is only flagged when the cradle really gains or loses energy
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAmmoFromDisk } from '../scripts/loadAmmo.js';
+import { initSimulation, advanceSimulation, getSimulationFrame } from '../src/physics/simulation.js';
+import { createCradleDescription } from '../src/layout.js';
+import { physicsConfig } from '../src/config/physics.js';
+import { sceneConfig } from '../src/config/scene.js';
+
+console.log = () => {};
+console.debug = () => {};
+
+test('an undisturbed cradle stays under the drift threshold', async () => {
+  sceneConfig.numBalls = 5;
+  physicsConfig.telemetry.enabled = true;
+  await initSimulation(await loadAmmoFromDisk(), createCradleDescription());
+  
+  for (let i = 0; i < 240; i++) {
+    advanceSimulation(physicsConfig.timeStep);
+  }
+  const samples = getSimulationFrame().telemetry;
+  
+  assert.equal(samples.length, 240);
+  samples.forEach(sample => {
+    assert.ok(!sample.driftExceeded, `drift ${sample.drift} at ${sample.time} s`);
+  });
+});
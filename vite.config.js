@@ -10,6 +10,10 @@ export default defineConfig({
     outDir: 'dist',
     sourcemap: true,
   },
+  // Bundle the physics worker as an ES module, matching how it runs in dev
+  worker: {
+    format: 'es',
+  },
   // Handle Ammo.js as a dependency
   optimizeDeps: {
     include: ['three', 'ammo.js', 'gsap'],